@@ -0,0 +1,195 @@
+// Replays Apps Script and Drive from files under dev/fixtures, so the
+// functions run without network access. In record mode requests go to the
+// real services and successful responses are written back as fixtures.
+//
+//   apps-script/<type>/_list.json      ?list=1 for the models/maps/textures script
+//   apps-script/<type>/<game>.json     ?game=<game>
+//   drive/manifest.json                { "<file id>": { "file", "mode" } }
+//   drive/files/<file>                 the bytes served for an ID
+//   drive/pages/*.html                 interstitial pages ({{id}}, {{name}}, {{token}})
+//
+// Drive modes mirror what fetchDriveFile has to deal with:
+//   direct       the file itself
+//   confirm      virus-scan interstitial; the file once `confirm=<token>` is sent
+//   usercontent  interstitial, then a page linking drive.usercontent.google.com
+//   blocked      quota page on every request (can't be bypassed)
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { CATALOG_SOURCES, slugify } from "../functions/_lib/catalog.js";
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+// Script URLs for catalogs configured through the environment (there's no
+// real one to record from yet); the dev server sets these by default.
+export const DEV_SCRIPT_URLS = {
+  textures: "https://script.google.com/macros/s/dev-textures/exec",
+};
+
+const CONFIRM_TOKEN = "t0k3n_dev";
+
+const DRIVE_HOSTS = new Set(["drive.google.com", "drive.usercontent.google.com"]);
+
+function catalogTypeFor(url) {
+  for (const [type, source] of Object.entries(CATALOG_SOURCES)) {
+    for (const candidate of [source.script, DEV_SCRIPT_URLS[type]]) {
+      if (!candidate) continue;
+      const script = new URL(candidate);
+      if (url.origin === script.origin && url.pathname === script.pathname) return type;
+    }
+  }
+  return null;
+}
+
+function appsScriptFixture(root, type, url) {
+  const name = url.searchParams.get("list") ? "_list" : slugify(url.searchParams.get("game") || "bedwars");
+  return path.join(root, "apps-script", type, `${name}.json`);
+}
+
+function driveContentType(name) {
+  const n = name.toLowerCase();
+  if (n.endsWith(".png")) return "image/png";
+  if (n.endsWith(".jpg") || n.endsWith(".jpeg")) return "image/jpeg";
+  if (n.endsWith(".webp")) return "image/webp";
+  if (n.endsWith(".json")) return "application/json";
+  // Drive serves glTF/GLB as a generic binary.
+  return "application/octet-stream";
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+export function createFixtureFetch({ root = FIXTURES_DIR, record = false, realFetch = globalThis.fetch } = {}) {
+  const manifestFile = path.join(root, "drive", "manifest.json");
+  // Drive IDs that answered with an interstitial while recording.
+  const sawInterstitial = new Set();
+
+  async function page(name, vars, init = {}) {
+    let html = await fs.readFile(path.join(root, "drive", "pages", `${name}.html`), "utf8");
+    html = html.replace(/\{\{(\w+)\}\}/g, (_, k) => vars[k] ?? "");
+    return new Response(html, {
+      status: init.status || 200,
+      headers: { "Content-Type": "text/html; charset=utf-8", ...init.headers },
+    });
+  }
+
+  async function serveDriveFile(entry, request) {
+    const file = path.join(root, "drive", "files", entry.file);
+    const body = new Uint8Array(await fs.readFile(file));
+    const stat = await fs.stat(file);
+    const headers = new Headers({
+      "Content-Type": driveContentType(entry.file),
+      "Content-Disposition": `attachment; filename="${entry.file}"; filename*=UTF-8''${encodeURIComponent(entry.file)}`,
+      "Last-Modified": stat.mtime.toUTCString(),
+      "Accept-Ranges": "bytes",
+    });
+
+    // Drive answers simple single ranges itself.
+    const m = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get("Range") || "");
+    if (m && (m[1] || m[2])) {
+      const size = body.byteLength;
+      const start = m[1] ? Number(m[1]) : Math.max(0, size - Number(m[2]));
+      const end = m[1] && m[2] ? Math.min(Number(m[2]), size - 1) : size - 1;
+      if (start >= size || end < start) {
+        headers.set("Content-Range", `bytes */${size}`);
+        return new Response(null, { status: 416, headers });
+      }
+      headers.set("Content-Range", `bytes ${start}-${end}/${size}`);
+      headers.set("Content-Length", String(end - start + 1));
+      return new Response(body.slice(start, end + 1), { status: 206, headers });
+    }
+
+    headers.set("Content-Length", String(body.byteLength));
+    return new Response(body, { headers });
+  }
+
+  async function replayDrive(url, request) {
+    const id = url.searchParams.get("id") || "";
+    const manifest = await readJson(manifestFile, {});
+    const entry = manifest[id];
+    if (!entry) return await page("not-found", { id }, { status: 404 });
+
+    const vars = { id, name: entry.file, token: CONFIRM_TOKEN };
+    if (entry.mode === "blocked") return await page("blocked", vars);
+    if (url.hostname === "drive.usercontent.google.com") return await serveDriveFile(entry, request);
+
+    const confirmed = url.searchParams.get("confirm") === CONFIRM_TOKEN;
+    if (entry.mode === "confirm" && !confirmed) {
+      return await page("confirm", vars, {
+        headers: { "Set-Cookie": `download_warning_${id}=${CONFIRM_TOKEN}; Path=/uc; Secure; HttpOnly` },
+      });
+    }
+    if (entry.mode === "usercontent") return await page(confirmed ? "usercontent" : "confirm", vars);
+    return await serveDriveFile(entry, request);
+  }
+
+  async function recordDrive(url, request, res) {
+    const id = url.searchParams.get("id") || "";
+    const type = (res.headers.get("Content-Type") || "").toLowerCase();
+    if (type.includes("text/html")) {
+      sawInterstitial.add(id);
+      return;
+    }
+    // Partial responses aren't whole fixtures.
+    if (!res.ok || res.status === 206 || !id || request.headers.get("Range")) return;
+
+    const disposition = res.headers.get("Content-Disposition") || "";
+    const named = /filename="?([^";]+)"?/i.exec(disposition);
+    const ext = named ? path.extname(named[1]) : "";
+    const file = `${id}${ext}`;
+    await fs.mkdir(path.join(root, "drive", "files"), { recursive: true });
+    await fs.writeFile(path.join(root, "drive", "files", file), new Uint8Array(await res.clone().arrayBuffer()));
+
+    const manifest = await readJson(manifestFile, {});
+    manifest[id] = { file, mode: sawInterstitial.has(id) ? "confirm" : "direct" };
+    await fs.writeFile(manifestFile, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`recorded drive/${file}`);
+  }
+
+  async function recordAppsScript(file, res) {
+    if (!res.ok) return;
+    let json;
+    try {
+      json = JSON.parse(await res.clone().text());
+    } catch {
+      return;
+    }
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, `${JSON.stringify(json, null, 2)}\n`);
+    console.log(`recorded ${path.relative(root, file)}`);
+  }
+
+  return async function fixtureFetch(input, init) {
+    const request = new Request(input, init);
+    const url = new URL(request.url);
+    const type = catalogTypeFor(url);
+    const isDrive = DRIVE_HOSTS.has(url.hostname);
+
+    if (record) {
+      const res = await realFetch(request);
+      try {
+        if (type) await recordAppsScript(appsScriptFixture(root, type, url), res);
+        else if (isDrive) await recordDrive(url, request, res);
+      } catch (err) {
+        console.error(`failed to record ${url.href}`, err);
+      }
+      return res;
+    }
+
+    if (type) {
+      const fixture = await readJson(appsScriptFixture(root, type, url), null);
+      if (!fixture) return Response.json({ error: `No fixture for ${type} ${url.search}` }, { status: 404 });
+      return Response.json(fixture);
+    }
+    if (isDrive) return await replayDrive(url, request);
+
+    // Anything else would need the network, which replay mode doesn't have.
+    throw new TypeError(`fetch failed: no fixture for ${url.href} (run with --record to capture it)`);
+  };
+}
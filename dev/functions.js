@@ -0,0 +1,117 @@
+// A small stand-in for the Cloudflare Pages Functions runtime: file-based
+// routing over functions/, `_middleware.js` chains, onRequest<Method>
+// handlers, and a context with env, params, waitUntil and next().
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+export const FUNCTIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "functions");
+
+async function walk(dir, base = "") {
+  const out = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    // _lib and friends are shared code, not routes.
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith("_")) out.push(...(await walk(path.join(dir, entry.name), `${base}/${entry.name}`)));
+    } else if (entry.name.endsWith(".js")) {
+      out.push({ file: path.join(dir, entry.name), route: `${base}/${entry.name.slice(0, -3)}` });
+    }
+  }
+  return out;
+}
+
+function routePattern(route) {
+  const names = [];
+  const source = route
+    .replace(/\/index$/, "")
+    .split("/")
+    .map((seg) => {
+      const m = /^\[(\.\.\.)?(\w+)\]$/.exec(seg);
+      if (!m) return seg.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      names.push({ name: m[2], rest: !!m[1] });
+      return m[1] ? "(.+)" : "([^/]+)";
+    })
+    .join("/");
+  return { regex: new RegExp(`^${source || "/"}/?$`), names };
+}
+
+function handlerFor(mod, method) {
+  const specific = `onRequest${method[0]}${method.slice(1).toLowerCase()}`;
+  return mod[specific] || mod.onRequest || null;
+}
+
+/**
+ * Loads every function under `dir` and returns `handle(request)`, which
+ * answers like the Pages runtime would, or resolves to null when no
+ * function matches (so the caller can serve a static file instead).
+ */
+export async function createFunctionsHandler({ env = {}, dir = FUNCTIONS_DIR } = {}) {
+  const files = await walk(dir);
+  const middleware = new Map();
+  const routes = [];
+
+  for (const { file, route } of files) {
+    const mod = await import(pathToFileURL(file).href);
+    if (route.endsWith("/_middleware")) {
+      middleware.set(route.slice(0, -"/_middleware".length), mod);
+    } else {
+      routes.push({ route, mod, ...routePattern(route) });
+    }
+  }
+  // Static segments win over dynamic ones, like Pages.
+  routes.sort((a, b) => a.names.length - b.names.length || b.route.length - a.route.length);
+
+  const pending = new Set();
+
+  async function handle(request) {
+    const { pathname } = new URL(request.url);
+    let match = null;
+    let route = null;
+    for (const r of routes) {
+      match = r.regex.exec(pathname);
+      if (match) {
+        route = r;
+        break;
+      }
+    }
+    if (!route) return null;
+
+    const params = {};
+    route.names.forEach(({ name, rest }, i) => {
+      params[name] = rest ? match[i + 1].split("/") : match[i + 1];
+    });
+
+    // Outermost middleware first, then the route's own handler.
+    const chain = [];
+    const segments = route.route.split("/").slice(1, -1);
+    for (let i = 0; i <= segments.length; i++) {
+      const mw = middleware.get(i ? `/${segments.slice(0, i).join("/")}` : "");
+      const fn = mw && handlerFor(mw, request.method);
+      if (fn) chain.push(fn);
+    }
+    const handler = handlerFor(route.mod, request.method);
+    chain.push(handler || (() => new Response("Method Not Allowed", { status: 405 })));
+
+    const data = {};
+    const run = (i, req) => chain[i]({
+      request: req,
+      env,
+      params,
+      data,
+      functionPath: route.route,
+      waitUntil(promise) {
+        const p = Promise.resolve(promise).catch((err) => console.error("waitUntil task failed", err));
+        pending.add(p);
+        p.finally(() => pending.delete(p));
+      },
+      next: (input, init) => run(i + 1, input ? new Request(input, init) : req),
+    });
+
+    return await run(0, request);
+  }
+
+  // Resolves once background work (catalog refreshes, ZIP writers) settles.
+  handle.settled = () => Promise.all([...pending]);
+  return handle;
+}
@@ -0,0 +1,158 @@
+// Local dev server: static pages from the repo root plus the functions/
+// handlers, with Apps Script and Drive replayed from dev/fixtures.
+//
+//   npm run dev                  replay fixtures (no network needed)
+//   npm run dev -- --record      hit the real services and save new fixtures
+//   npm run dev -- --port 8789
+//
+// Env bindings can be set in the shell (LINK_SIGNING_SECRET=... npm run dev);
+// the catalog uses the in-memory KV fallback and /api/file streams without
+// the edge cache.
+
+import { createReadStream, promises as fs } from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { fileURLToPath } from "node:url";
+import { DEV_SCRIPT_URLS, createFixtureFetch } from "./fixtures.js";
+import { createFunctionsHandler } from "./functions.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const STATIC_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".jpg": "image/jpeg",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".gltf": "model/gltf+json",
+  ".glb": "model/gltf-binary",
+};
+
+// Never served: tooling and fixtures aren't part of the site.
+const PRIVATE_PREFIXES = ["/functions/", "/dev/", "/tests/", "/node_modules/", "/.git/"];
+
+function parseArgs(argv) {
+  const args = { record: false, port: Number(process.env.PORT) || 8788 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--record") args.record = true;
+    else if (argv[i] === "--port") args.port = Number(argv[++i]) || args.port;
+  }
+  return args;
+}
+
+function devEnv({ record }) {
+  // Replay has fixtures for the textures catalog even though production
+  // doesn't have a script for it yet.
+  const env = record ? {} : { TEXTURES_SCRIPT_URL: DEV_SCRIPT_URLS.textures };
+  for (const key of [
+    "CATALOG_TTL_SECONDS", "CATALOG_REFRESH_TOKEN", "LINK_SIGNING_SECRET", "LINK_TTL_SECONDS",
+    "REQUIRE_SIGNED_LINKS", "ALLOWED_ORIGINS", "STORAGE_BACKEND", "STORAGE_FS_ROOT", "DRIVE_API_KEY",
+    "TEXTURES_SCRIPT_URL",
+  ]) {
+    if (process.env[key]) env[key] = process.env[key];
+  }
+  return env;
+}
+
+async function serveStatic(req, res) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+  } catch {
+    res.writeHead(400).end("Bad request");
+    return;
+  }
+  if (PRIVATE_PREFIXES.some((p) => pathname.startsWith(p))) {
+    res.writeHead(404).end("Not found");
+    return;
+  }
+
+  let file = path.join(ROOT, pathname);
+  // An encoded slash survives URL parsing, so "/..%2ftree-other/x" decodes to
+  // a sibling of ROOT that a bare prefix check on "/x/tree" would accept.
+  const relative = path.relative(ROOT, file);
+  if (relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    res.writeHead(404).end("Not found");
+    return;
+  }
+  try {
+    if ((await fs.stat(file)).isDirectory()) {
+      // Pages redirects /models to /models/ so relative URLs resolve.
+      if (!pathname.endsWith("/")) {
+        res.writeHead(308, { Location: `${pathname}/` }).end();
+        return;
+      }
+      file = path.join(file, "index.html");
+    }
+    await fs.access(file);
+  } catch {
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" }).end("Not found");
+    return;
+  }
+
+  res.writeHead(200, {
+    "Content-Type": STATIC_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream",
+    "Cache-Control": "no-store",
+  });
+  createReadStream(file).pipe(res);
+}
+
+function toRequest(req, port) {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const headers = new Headers();
+  for (const [k, v] of Object.entries(req.headers)) {
+    if (v !== undefined) headers.set(k, Array.isArray(v) ? v.join(", ") : v);
+  }
+  const hasBody = req.method !== "GET" && req.method !== "HEAD";
+  return new Request(url, {
+    method: req.method,
+    headers,
+    body: hasBody ? Readable.toWeb(req) : undefined,
+    duplex: hasBody ? "half" : undefined,
+  });
+}
+
+async function sendResponse(res, response, method) {
+  const headers = {};
+  response.headers.forEach((v, k) => {
+    headers[k] = v;
+  });
+  res.writeHead(response.status, headers);
+  if (!response.body || method === "HEAD") {
+    res.end();
+    return;
+  }
+  Readable.fromWeb(response.body).on("error", () => res.destroy()).pipe(res);
+}
+
+async function main() {
+  const { record, port } = parseArgs(process.argv.slice(2));
+  globalThis.fetch = createFixtureFetch({ record, realFetch: globalThis.fetch });
+  const handle = await createFunctionsHandler({ env: devEnv({ record }) });
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const response = await handle(toRequest(req, port));
+      if (response) await sendResponse(res, response, req.method);
+      else await serveStatic(req, res);
+    } catch (err) {
+      console.error(err);
+      if (!res.headersSent) res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("Internal error");
+    }
+  });
+
+  server.listen(port, () => {
+    const mode = record ? "recording fixtures from the live services" : "replaying dev/fixtures";
+    console.log(`sparkskye.com dev server on http://localhost:${port} (${mode})`);
+  });
+}
+
+main();
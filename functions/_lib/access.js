@@ -0,0 +1,100 @@
+// Who may download what through the file proxy.
+
+import { isKnownFileId } from "./catalog.js";
+import { jsonError } from "./http.js";
+import { verifyFileLink } from "./signing.js";
+
+/**
+ * Runs every check a proxied download needs: link signatures / hotlink rules,
+ * then the catalog allowlist (we only serve files we publish, never arbitrary
+ * Drive IDs). Returns an error response, or null when the request may proceed.
+ */
+export async function checkFileAccess(context, url, id) {
+  const denied = await checkLinkAccess(context, url, id);
+  if (denied) return denied;
+
+  let known = false;
+  try {
+    known = await isKnownFileId(context, id);
+  } catch (err) {
+    console.error("file allowlist unavailable", err);
+    return jsonError(503, "catalog_unavailable", "The file catalog is unavailable. Try again shortly.");
+  }
+  if (!known) {
+    return jsonError(404, "unknown_file", "This file isn't part of the Hive Resources catalog.");
+  }
+  return null;
+}
+
+/**
+ * Signed links (COPY LINK) must carry a valid, unexpired signature. Unsigned
+ * requests are the page's own previews and downloads; when REQUIRE_SIGNED_LINKS
+ * is set they are only accepted from our own origin, which stops hotlinking.
+ */
+async function checkLinkAccess(context, url, id) {
+  const { env, request } = context;
+  const exp = url.searchParams.get("exp");
+  const sig = url.searchParams.get("sig");
+
+  if (exp || sig) {
+    const verdict = await verifyFileLink(env.LINK_SIGNING_SECRET, id, exp, sig);
+    if (verdict === "valid") return null;
+    if (verdict === "expired") return expiredLinkResponse(request);
+    return jsonError(403, "invalid_signature", "This download link is not valid.");
+  }
+
+  return checkHotlink(request, env);
+}
+
+/**
+ * With REQUIRE_SIGNED_LINKS set, unsigned downloads must come from this site.
+ * Returns an error response, or null when the request may proceed.
+ */
+export function checkHotlink(request, env) {
+  if (!env.REQUIRE_SIGNED_LINKS || isSameSiteRequest(request, env)) return null;
+  return jsonError(403, "signature_required", "Direct links need a signature. Use COPY LINK on the site.");
+}
+
+function isSameSiteRequest(request, env) {
+  const site = request.headers.get("Sec-Fetch-Site");
+  if (site === "same-origin" || site === "same-site") return true;
+
+  const allowed = new Set(
+    String(env.ALLOWED_ORIGINS || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean)
+  );
+  allowed.add(new URL(request.url).origin);
+
+  for (const h of ["Origin", "Referer"]) {
+    const v = request.headers.get(h);
+    if (!v) continue;
+    try {
+      if (allowed.has(new URL(v).origin)) return true;
+    } catch {}
+  }
+  return false;
+}
+
+function expiredLinkResponse(request) {
+  const message = "This download link has expired. Open the asset on Hive Resources and use COPY LINK to get a fresh one.";
+  const accept = request.headers.get("Accept") || "";
+  if (!accept.includes("text/html")) return jsonError(410, "link_expired", message);
+
+  const html = `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8" /><title>Link expired</title>
+<link rel="stylesheet" href="/hive-resources/css/hive.css" /></head>
+<body><main class="page"><section class="hero">
+<h1 class="hero__title">LINK EXPIRED</h1>
+<p class="hero__sub">${message}</p>
+</section>
+<section class="panel" style="text-align:center"><a class="btn btn--primary" href="/hive-resources/">GET A FRESH LINK</a></section>
+</main></body>
+</html>`;
+  return new Response(html, {
+    status: 410,
+    headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" },
+  });
+}
@@ -0,0 +1,430 @@
+// Catalog snapshots.
+//
+// Instead of forwarding every gallery request to Apps Script, we build one
+// normalized snapshot per asset type (every game, folder and file) and keep it
+// in KV. Endpoints answer from the snapshot and refresh it in the background
+// once it gets older than the TTL (or when /api/catalog/refresh is called by a
+// scheduler).
+
+import { diffSnapshots, recordChanges } from "./changes.js";
+import { slugify, titleCase } from "./items.js";
+import { getCatalogStore } from "./kv.js";
+import { buildSearchIndex } from "./search.js";
+import { UpstreamError, fetchUpstreamJson, retryOptions } from "./upstream.js";
+
+export { slugify, titleCase, fileIdOf, flattenGameItems } from "./items.js";
+
+export const CATALOG_SOURCES = {
+  models: {
+    script:
+      "https://script.google.com/macros/s/AKfycbxwo50cJWxjW95aoG1QeoxBRlUAIVrYPc3VHuaDUw2Vkst-2k05fltz8s__nIku7JL7lQ/exec",
+    ext: "gltf",
+    // Used when the models script can't list its gamemode folders.
+    fallbackGames: [
+      "bedwars", "block drop", "block party", "bridge", "capture the flag", "common", "deathrun",
+      "ghost invasion", "gravity", "ground wars", "hide and seek", "hub", "mob game", "murder mystery",
+      "pets", "skywars", "survival games",
+    ],
+  },
+  maps: {
+    script:
+      "https://script.google.com/macros/s/AKfycbwCdZbhWELRFgg7McaRS33p09ocnw7Ooo56f4RCtej6Vqw6HKqPAmXDhcb49oe5wusEVA/exec",
+    ext: "glb",
+    fallbackGames: [],
+  },
+  // Textures, skins and UI sprites. Its script URL comes from the environment;
+  // until one is set the catalog is simply empty.
+  textures: {
+    script: null,
+    scriptEnv: "TEXTURES_SCRIPT_URL",
+    ext: "png",
+    fallbackGames: [],
+  },
+};
+
+export const CATALOG_TYPES = Object.keys(CATALOG_SOURCES);
+
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_TTL_SECONDS = 15 * 60;
+const FETCH_CONCURRENCY = 4;
+
+// Per-isolate guard so concurrent requests share one rebuild.
+const inflight = new Map();
+
+// Per-isolate copies of the file-ID allowlists and search indexes, re-read
+// from KV at most once a minute.
+const MEMO_MS = 60 * 1000;
+const fileIdMemo = new Map();
+const searchIndexMemo = new Map();
+
+// Snapshots handed out after their refresh failed (see servedStale()).
+const staleSnapshots = new WeakSet();
+
+function snapshotKey(type) {
+  return `catalog:${type}`;
+}
+
+function fileIdsKey(type) {
+  return `catalog:${type}:file-ids`;
+}
+
+function searchIndexKey(type) {
+  return `catalog:${type}:search`;
+}
+
+function refreshStatusKey(type) {
+  return `catalog:${type}:refresh-failed`;
+}
+
+// The Apps Script URL for a catalog type, or null when it isn't configured.
+export function catalogScript(type, env) {
+  const source = CATALOG_SOURCES[type];
+  return (source?.scriptEnv && env?.[source.scriptEnv]) || source?.script || null;
+}
+
+function ttlSeconds(env) {
+  const n = Number(env?.CATALOG_TTL_SECONDS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_SECONDS;
+}
+
+export function isSnapshotStale(snapshot, env) {
+  const built = Date.parse(snapshot?.builtAt || "");
+  if (!Number.isFinite(built)) return true;
+  return Date.now() - built > ttlSeconds(env) * 1000;
+}
+
+export async function loadSnapshot(env, type) {
+  const snapshot = await getCatalogStore(env).get(snapshotKey(type), "json");
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return null;
+  return snapshot;
+}
+
+export async function saveSnapshot(env, snapshot) {
+  const store = getCatalogStore(env);
+  await store.put(snapshotKey(snapshot.type), JSON.stringify(snapshot));
+  await store.put(
+    fileIdsKey(snapshot.type),
+    JSON.stringify({ builtAt: snapshot.builtAt, ids: catalogFileIds(snapshot) })
+  );
+  await store.put(searchIndexKey(snapshot.type), JSON.stringify(buildSearchIndex(snapshot)));
+  fileIdMemo.delete(snapshot.type);
+  searchIndexMemo.delete(snapshot.type);
+}
+
+// Every Drive ID a snapshot links to: models, map GLBs, map thumbnails and textures.
+export function catalogFileIds(snapshot) {
+  const ids = new Set();
+  for (const game of snapshot?.games || []) {
+    for (const group of game.groups || []) {
+      for (const it of group.items || []) {
+        for (const id of [it.modelId, it.glbId, it.thumbId, it.imageId]) if (id) ids.add(String(id));
+      }
+    }
+  }
+  return [...ids];
+}
+
+async function loadFileIds(context, type) {
+  const memo = fileIdMemo.get(type);
+  if (memo && Date.now() - memo.loadedAt < MEMO_MS) return memo.ids;
+
+  const store = getCatalogStore(context.env);
+  let entry = await store.get(fileIdsKey(type), "json");
+  if (!entry) {
+    // No allowlist yet (or a snapshot saved without one): derive it from the
+    // snapshot and write it back.
+    const snapshot = await getSnapshot(context, type);
+    entry = { builtAt: snapshot.builtAt, ids: catalogFileIds(snapshot) };
+    try { await store.put(fileIdsKey(type), JSON.stringify(entry)); } catch {}
+  }
+
+  const ids = new Set(entry?.ids || []);
+  fileIdMemo.set(type, { ids, loadedAt: Date.now() });
+  return ids;
+}
+
+/**
+ * The search index written alongside the `type` snapshot (built on first use).
+ */
+export async function loadSearchIndex(context, type) {
+  const memo = searchIndexMemo.get(type);
+  if (memo && Date.now() - memo.loadedAt < MEMO_MS) return memo.index;
+
+  const store = getCatalogStore(context.env);
+  let index = await store.get(searchIndexKey(type), "json");
+  if (!index) {
+    index = buildSearchIndex(await getSnapshot(context, type));
+    try { await store.put(searchIndexKey(type), JSON.stringify(index)); } catch {}
+  }
+
+  searchIndexMemo.set(type, { index, loadedAt: Date.now() });
+  return index;
+}
+
+/**
+ * True when `id` appears in any catalog. /api/file uses this so it only
+ * proxies files we actually publish.
+ */
+export async function isKnownFileId(context, id) {
+  for (const type of CATALOG_TYPES) {
+    if ((await loadFileIds(context, type)).has(String(id))) return true;
+  }
+  return false;
+}
+
+/**
+ * Returns the current snapshot for `type`, building it on first use and
+ * scheduling a background rebuild when it is older than the TTL.
+ */
+export async function getSnapshot(context, type) {
+  const { env } = context;
+  const snapshot = await loadSnapshot(env, type);
+  if (!snapshot) return await refreshCatalog(env, type);
+
+  if (isSnapshotStale(snapshot, env)) {
+    // Stale-while-error: keep serving the last good snapshot, flagged as stale
+    // once a refresh after it has failed.
+    const failure = await getCatalogStore(env).get(refreshStatusKey(type), "json");
+    if (failure && Date.parse(failure.failedAt) > Date.parse(snapshot.builtAt)) {
+      staleSnapshots.add(snapshot);
+    }
+
+    const job = refreshCatalog(env, type).catch((err) => {
+      console.error(`catalog refresh failed (${type})`, err);
+    });
+    if (typeof context.waitUntil === "function") context.waitUntil(job);
+  }
+
+  return snapshot;
+}
+
+// True when `snapshot` is the last good copy served because Apps Script failed.
+export function servedStale(snapshot) {
+  return !!snapshot && staleSnapshots.has(snapshot);
+}
+
+export function refreshCatalog(env, type) {
+  if (inflight.has(type)) return inflight.get(type);
+
+  const job = (async () => {
+    const store = getCatalogStore(env);
+    const previous = await loadSnapshot(env, type);
+    let snapshot;
+    try {
+      snapshot = await buildSnapshot(type, previous, env);
+    } catch (err) {
+      const failure = { failedAt: new Date().toISOString(), error: String(err?.message || err) };
+      try { await store.put(refreshStatusKey(type), JSON.stringify(failure)); } catch {}
+      throw err;
+    }
+    await saveSnapshot(env, snapshot);
+    try { await store.delete(refreshStatusKey(type)); } catch {}
+    try {
+      await recordChanges(env, diffSnapshots(previous, snapshot));
+    } catch (err) {
+      console.error(`catalog: failed to record ${type} changes`, err);
+    }
+    return snapshot;
+  })().finally(() => inflight.delete(type));
+
+  inflight.set(type, job);
+  return job;
+}
+
+/**
+ * Builds a fresh snapshot from Apps Script. A game that fails to load keeps
+ * its entry from `previous` so one bad folder doesn't blank the gallery. A
+ * type without a configured script gets an empty snapshot.
+ */
+export async function buildSnapshot(type, previous = null, env = {}) {
+  const source = CATALOG_SOURCES[type];
+  if (!source) throw new Error(`Unknown catalog type: ${type}`);
+  const script = catalogScript(type, env);
+  const snapshot = (games) => ({ version: SNAPSHOT_VERSION, type, builtAt: new Date().toISOString(), games });
+  if (!script) return snapshot([]);
+
+  // Surfaced when nothing loads, so callers see why (timeout, bad JSON, ...).
+  let lastError = null;
+  const upstreamFailure = (message) =>
+    lastError instanceof UpstreamError ? lastError : new UpstreamError(message, { code: "catalog_unavailable", source: "apps-script" });
+
+  let gameKeys = [];
+  try {
+    gameKeys = parseGameList(await fetchScriptJson(script, { list: "1" }, env));
+  } catch (err) {
+    // Older script deployments don't support ?list=1.
+    lastError = err;
+  }
+  if (!gameKeys.length) gameKeys = source.fallbackGames.map(slugify).filter(Boolean);
+  if (!gameKeys.length) throw upstreamFailure(`No ${type} games found upstream`);
+
+  let failures = 0;
+  const results = await mapLimit(gameKeys, FETCH_CONCURRENCY, async (key) => {
+    try {
+      const json = await fetchScriptJson(script, { game: key }, env);
+      return normalizeGame(type, key, json);
+    } catch (err) {
+      failures++;
+      lastError = err;
+      console.error(`catalog: failed to load ${type}/${key}`, err);
+      return findGame(previous, key);
+    }
+  });
+  if (failures === gameKeys.length) throw upstreamFailure(`All ${type} games failed to load`);
+
+  const seen = new Set();
+  const games = results.filter((g) => {
+    if (!g?.key || seen.has(g.key)) return false;
+    seen.add(g.key);
+    return true;
+  });
+  games.sort((a, b) => a.label.localeCompare(b.label));
+
+  return snapshot(games);
+}
+
+/**
+ * Finds one game in a snapshot. An empty key picks bedwars (what the Apps
+ * Script defaults to) or the first game.
+ */
+export function findGame(snapshot, gameKey) {
+  const games = snapshot?.games || [];
+  const key = slugify(gameKey);
+  if (!key) return games.find((g) => g.key === "bedwars") || games[0] || null;
+  return games.find((g) => g.key === key) || null;
+}
+
+// The response shape fetchModels/fetchMaps have always consumed.
+export function gameResponse(game) {
+  return {
+    game: { key: game.key, label: game.label, updatedAt: game.updatedAt },
+    groups: game.groups,
+  };
+}
+
+async function fetchScriptJson(script, params, env) {
+  const upstream = new URL(script);
+  for (const [k, v] of Object.entries(params)) upstream.searchParams.set(k, v);
+
+  return await fetchUpstreamJson(
+    upstream.toString(),
+    { headers: { "User-Agent": "sparkskye-pages-proxy" } },
+    { source: "apps-script", ...retryOptions(env) }
+  );
+}
+
+// Supports either ["bedwars", ...] or [{ key, label }, ...], bare or under `games`.
+export function parseGameList(json) {
+  const raw = Array.isArray(json?.games) ? json.games : Array.isArray(json) ? json : [];
+  const keys = raw.map((g) => {
+    if (typeof g === "string") return slugify(g);
+    if (g && typeof g === "object") return slugify(g.key || g.slug || g.label || g.name || g.title);
+    return "";
+  });
+  return [...new Set(keys.filter(Boolean))];
+}
+
+export function normalizeGame(type, requestedKey, json) {
+  const key = slugify(json?.game?.key || requestedKey);
+  const label = String(json?.game?.label || titleCase(key)).toUpperCase();
+
+  const rawGroups = json?.groups || json?.modes || json?.folders || [];
+  const groups = rawGroups.map((g) => {
+    const groupKey = String(g.key || slugify(g.label) || "").toLowerCase();
+    const groupLabel = String(g.label || groupKey);
+    // Items in the ALL group carry their own folder labels.
+    const fallbackLabel = groupKey === "all" ? "" : groupLabel;
+    return {
+      key: groupKey,
+      label: groupLabel,
+      items: (g.items || []).map((it) => normalizeItem(type, it, fallbackLabel)).filter(Boolean),
+    };
+  });
+
+  // Some gamemodes keep files directly in the gamemode folder; fold those into ALL.
+  const rootItems = json?.rootItems || json?.items || json?.models || [];
+  if (Array.isArray(rootItems) && rootItems.length) {
+    let allGroup = groups.find((g) => g.key === "all");
+    if (!allGroup) {
+      allGroup = { key: "all", label: "ALL", items: [] };
+      groups.unshift(allGroup);
+    }
+    allGroup.items = allGroup.items.concat(
+      rootItems.map((it) => normalizeItem(type, it, "")).filter(Boolean)
+    );
+  }
+
+  const stamps = [json?.game?.updatedAt, json?.updatedAt];
+  for (const g of groups) for (const it of g.items) stamps.push(it.updatedAt);
+  const updatedAt = stamps
+    .map((s) => Date.parse(s || ""))
+    .filter(Number.isFinite)
+    .reduce((max, t) => Math.max(max, t), 0);
+
+  return {
+    key,
+    label,
+    updatedAt: updatedAt ? new Date(updatedAt).toISOString() : null,
+    groups,
+  };
+}
+
+function normalizeItem(type, it, groupLabel) {
+  if (!it || typeof it !== "object") return null;
+  const name = String(it.name || it.title || "").trim() || "(untitled)";
+  const updatedAt = it.updatedAt || it.modifiedTime || it.lastUpdated || null;
+
+  if (type === "maps") {
+    const glbId = it.glbId || it.modelId || it.mapId || it.id || it.fileId || it.assetId || null;
+    const out = {
+      name,
+      glbId,
+      thumbId:
+        it.thumbId || it.pngId || it.imageId || it.minimapId || it.thumbnailId || it.previewId || null,
+      path: it.path || it.modeLabel || it.folderLabel || groupLabel || "",
+      modeLabel: it.modeLabel || it.folderLabel || groupLabel || "",
+    };
+    const thumbUrl = it.thumbUrl || it.pngUrl || it.thumbnailUrl || it.previewUrl || null;
+    if (thumbUrl) out.thumbUrl = thumbUrl;
+    if (updatedAt) out.updatedAt = updatedAt;
+    return out;
+  }
+
+  if (type === "textures") {
+    const out = {
+      name,
+      imageId: it.imageId || it.pngId || it.id || it.fileId || null,
+      path: it.path || it.folderLabel || groupLabel || "",
+      folderLabel: it.folderLabel || groupLabel || "",
+    };
+    if (it.mimeType) out.mimeType = it.mimeType;
+    if (Number(it.width) > 0 && Number(it.height) > 0) {
+      out.width = Number(it.width);
+      out.height = Number(it.height);
+    }
+    if (updatedAt) out.updatedAt = updatedAt;
+    return out;
+  }
+
+  const out = {
+    name,
+    modelId: it.modelId || it.id || it.fileId || null,
+    path: it.path || it.folderLabel || groupLabel || "",
+    folderLabel: it.folderLabel || groupLabel || "",
+  };
+  if (updatedAt) out.updatedAt = updatedAt;
+  return out;
+}
+
+async function mapLimit(arr, limit, fn) {
+  const out = new Array(arr.length);
+  let i = 0;
+  const workers = new Array(Math.min(limit, arr.length)).fill(0).map(async () => {
+    while (i < arr.length) {
+      const idx = i++;
+      out[idx] = await fn(arr[idx]);
+    }
+  });
+  await Promise.all(workers);
+  return out;
+}
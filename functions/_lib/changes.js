@@ -0,0 +1,103 @@
+// Catalog change feed.
+//
+// Every rebuilt snapshot is diffed against the one it replaces, and the files
+// that were added, removed or renamed are prepended to a capped feed in KV,
+// one per catalog type: refreshes of different types run concurrently, and a
+// shared key would let one overwrite the other's entries. /api/changes merges
+// the feeds and serves them as JSON or Atom.
+
+import { flattenGameItems } from "./items.js";
+import { getCatalogStore } from "./kv.js";
+
+// Before feeds were split by type; still read so older entries stay listed.
+const LEGACY_FEED_KEY = "catalog:changes";
+
+function feedKey(type) {
+  return `catalog:changes:${type}`;
+}
+const MAX_ENTRIES = 500;
+
+export const CHANGE_KINDS = ["added", "removed", "renamed"];
+
+// File ID -> where it lives in the snapshot. Items without an ID can't be
+// tracked across rebuilds, so they're left out.
+function indexItems(snapshot) {
+  const items = new Map();
+  for (const game of snapshot?.games || []) {
+    for (const it of flattenGameItems(snapshot.type, game)) {
+      if (!it.id || items.has(it.id)) continue;
+      items.set(it.id, {
+        id: it.id,
+        name: it.name,
+        game: game.key,
+        gameLabel: game.label,
+        folder: it.folderKey,
+        folderLabel: it.folderLabel || "",
+      });
+    }
+  }
+  return items;
+}
+
+/**
+ * Changes between two snapshots of the same type, stamped with the new
+ * snapshot's build time. Without a previous snapshot there's nothing to
+ * compare against, so the first build records nothing.
+ */
+export function diffSnapshots(previous, next) {
+  if (!previous || !next) return [];
+  const before = indexItems(previous);
+  const after = indexItems(next);
+  const base = { at: next.builtAt, type: next.type };
+  const changes = [];
+
+  for (const [id, item] of after) {
+    const old = before.get(id);
+    if (!old) changes.push({ ...base, kind: "added", ...item });
+    else if (old.name !== item.name) changes.push({ ...base, kind: "renamed", ...item, previousName: old.name });
+  }
+  for (const [id, item] of before) {
+    if (!after.has(id)) changes.push({ ...base, kind: "removed", ...item });
+  }
+  return changes;
+}
+
+async function loadFeed(store, key) {
+  const feed = await store.get(key, "json");
+  return Array.isArray(feed?.entries) ? feed.entries : [];
+}
+
+/**
+ * The recorded changes for `types`, newest first. Entries built at the same
+ * time keep their recorded order.
+ */
+export async function loadChanges(env, types) {
+  const store = getCatalogStore(env);
+  const feeds = await Promise.all([...types.map(feedKey), LEGACY_FEED_KEY].map((key) => loadFeed(store, key)));
+  return feeds
+    .flat()
+    .filter((c) => types.includes(c.type))
+    .map((c, i) => ({ c, i, at: Date.parse(c.at) || 0 }))
+    .sort((a, b) => b.at - a.at || a.i - b.i)
+    .map(({ c }) => c);
+}
+
+// Newest first; the oldest entries of each type fall off past MAX_ENTRIES.
+export async function recordChanges(env, changes) {
+  const store = getCatalogStore(env);
+  for (const type of new Set(changes.map((c) => c.type))) {
+    const fresh = changes.filter((c) => c.type === type);
+    const entries = fresh.concat(await loadFeed(store, feedKey(type))).slice(0, MAX_ENTRIES);
+    await store.put(feedKey(type), JSON.stringify({ updatedAt: fresh[0].at, entries }));
+  }
+}
+
+/**
+ * Site path for a change: the gallery filtered to the item, or just its
+ * gamemode when the item is gone.
+ */
+export function changeLink(change) {
+  const params = new URLSearchParams({ game: change.game });
+  if (change.kind !== "removed") params.set("q", change.name);
+  return `/hive-resources/${change.type}/?${params}`;
+}
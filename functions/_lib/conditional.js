@@ -0,0 +1,42 @@
+// Validators and conditional GET (If-None-Match / If-Modified-Since).
+
+// Strong ETag derived from the file bytes, so it only changes when the content does.
+export async function contentEtag(body) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", body));
+  const hex = [...digest.slice(0, 16)].map((b) => b.toString(16).padStart(2, "0")).join("");
+  return `"${hex}"`;
+}
+
+function opaqueTag(tag) {
+  return String(tag || "").trim().replace(/^W\//, "");
+}
+
+// If-None-Match uses weak comparison: W/"x" matches "x".
+export function etagListMatches(header, etag) {
+  if (!etag) return false;
+  const list = String(header || "").trim();
+  if (list === "*") return true;
+  const want = opaqueTag(etag);
+  return list.split(",").some((tag) => opaqueTag(tag) === want);
+}
+
+export function isNotModified(request, { etag, lastModified } = {}) {
+  const ifNoneMatch = request.headers.get("If-None-Match");
+  // If-None-Match wins over If-Modified-Since when both are present.
+  if (ifNoneMatch) return etagListMatches(ifNoneMatch, etag);
+
+  const ifModifiedSince = request.headers.get("If-Modified-Since");
+  if (!ifModifiedSince || !lastModified) return false;
+  const since = Date.parse(ifModifiedSince);
+  const modified = Date.parse(lastModified);
+  return Number.isFinite(since) && Number.isFinite(modified) && modified <= since;
+}
+
+export function notModifiedResponse(headers) {
+  const out = new Headers();
+  for (const h of ["ETag", "Last-Modified", "Cache-Control", "Access-Control-Allow-Origin"]) {
+    const v = headers.get(h);
+    if (v) out.set(h, v);
+  }
+  return new Response(null, { status: 304, headers: out });
+}
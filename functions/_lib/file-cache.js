@@ -0,0 +1,152 @@
+// Resolved storage files in the Workers Cache API.
+//
+// Resolving a Drive download can take three round trips (interstitial page,
+// confirm token, drive.usercontent link). We do that once per file and keep
+// the result at the edge for FILE_CACHE_TTL, streamed into the cache as it is
+// served. The ETag comes from storage (R2 and the filesystem send one, Drive
+// exposes an MD5 through its API); only files without one are buffered to
+// hash a strong ETag from the content.
+// Entries live for STALE_IF_ERROR longer than that so an expired copy can
+// still be served (marked stale) while storage is failing: unreachable,
+// erroring (5xx) or rate limiting us (429). A 4xx is storage's answer about
+// the file itself, so it's passed on and the cached copy dropped.
+
+import { getStorage } from "./storage/index.js";
+import { contentEtag } from "./conditional.js";
+
+const FILE_CACHE_TTL = 86400;
+const STALE_IF_ERROR = 7 * 86400;
+
+export function cacheAvailable() {
+  return typeof caches !== "undefined" && !!caches?.default;
+}
+
+function cacheKey(requestUrl, id) {
+  const u = new URL("/__file-cache/drive", requestUrl);
+  u.searchParams.set("id", id);
+  return new Request(u.toString());
+}
+
+function storageFailing(status) {
+  return status === 429 || status >= 500;
+}
+
+function resolvedAge(headers) {
+  const at = Number(headers.get("X-Resolved-At"));
+  return Number.isFinite(at) && at > 0 ? Date.now() - at : Infinity;
+}
+
+function isFresh(hit) {
+  return !!hit && resolvedAge(hit.headers) < FILE_CACHE_TTL * 1000;
+}
+
+async function storedEtag(storage, id, res) {
+  const sent = res.headers.get("ETag");
+  if (sent && !sent.startsWith("W/")) return sent;
+  return await storage.etag(id).catch(() => null);
+}
+
+// Background cache writes: handed to waitUntil, or awaited outside Workers.
+function settle(context, promise) {
+  const done = promise.catch(() => {});
+  if (typeof context.waitUntil === "function") context.waitUntil(done);
+  else return done;
+}
+
+/**
+ * Returns the edge copy of a file resolved less than FILE_CACHE_TTL ago as
+ * { body: ReadableStream, headers, stale: false }, or null.
+ */
+export async function matchCachedFile(context, id) {
+  try {
+    const hit = await caches.default.match(cacheKey(context.request.url, id));
+    if (isFresh(hit)) {
+      return { body: hit.body, headers: hit.headers, stale: false };
+    }
+  } catch {
+    // Cache trouble shouldn't break downloads; fall through to storage.
+  }
+  return null;
+}
+
+/**
+ * Returns { body: ReadableStream, headers, stale } for a stored file, or
+ * { errorResponse } with the failed upstream response. `stale` is true when
+ * storage failed and an expired cached copy was served instead.
+ */
+export async function resolveCachedFile(context, id) {
+  const cache = caches.default;
+  const key = cacheKey(context.request.url, id);
+
+  let hit = null;
+  try {
+    hit = await cache.match(key);
+    if (isFresh(hit)) {
+      return { body: hit.body, headers: hit.headers, stale: false };
+    }
+  } catch {
+    // Cache trouble shouldn't break downloads; fall through to storage.
+  }
+
+  const storage = getStorage(context.env);
+  let res;
+  try {
+    res = await storage.stream(id);
+  } catch (err) {
+    if (!hit) throw err;
+  }
+  if (hit && (!res || storageFailing(res.status))) {
+    try { await res?.body?.cancel(); } catch {}
+    return { body: hit.body, headers: hit.headers, stale: true };
+  }
+  if (!res || !res.ok) {
+    if (hit) await settle(context, cache.delete(key));
+    return { errorResponse: res };
+  }
+
+  const headers = new Headers();
+  headers.set("Content-Type", res.headers.get("Content-Type") || "application/octet-stream");
+  const disposition = res.headers.get("Content-Disposition");
+  if (disposition) headers.set("Content-Disposition", disposition);
+  // Without an upstream date the strong ETag is the only validator; a date
+  // made up here would change on every re-resolve.
+  const lastModified = res.headers.get("Last-Modified");
+  if (lastModified) headers.set("Last-Modified", lastModified);
+  headers.set("X-Resolved-At", String(Date.now()));
+  headers.set("Cache-Control", `public, max-age=${FILE_CACHE_TTL + STALE_IF_ERROR}`);
+
+  let body;
+  let cached;
+  const etag = await storedEtag(storage, id, res);
+  if (etag) {
+    headers.set("ETag", etag);
+    const length = res.headers.get("Content-Length");
+    if (length) headers.set("Content-Length", length);
+    [body, cached] = res.body.tee();
+  } else {
+    const bytes = await res.arrayBuffer();
+    headers.set("ETag", await contentEtag(bytes));
+    headers.set("Content-Length", String(bytes.byteLength));
+    body = new Response(bytes).body;
+    cached = bytes.slice(0);
+  }
+
+  await settle(context, cache.put(key, new Response(cached, { headers: new Headers(headers) })));
+  return { body, headers, stale: false };
+}
+
+/**
+ * Loads a whole file for server-side processing (packing, stats):
+ * through the edge cache when there is one, straight from storage otherwise.
+ */
+export async function loadFile(context, id) {
+  if (cacheAvailable()) {
+    const file = await resolveCachedFile(context, id);
+    if (file.errorResponse !== undefined) return file;
+    return { ...file, body: await new Response(file.body).arrayBuffer() };
+  }
+
+  const res = await getStorage(context.env).stream(id);
+  if (!res || !res.ok) return { errorResponse: res };
+  return { body: await res.arrayBuffer(), headers: res.headers };
+}
@@ -0,0 +1,71 @@
+// Filename and content-type rules shared by every download endpoint.
+
+export function contentTypeFromName(name) {
+  const n = String(name || "").toLowerCase();
+  if (!n) return null;
+  if (n.endsWith(".gltf")) return "model/gltf+json; charset=utf-8";
+  if (n.endsWith(".glb")) return "model/gltf-binary";
+  if (n.endsWith(".png")) return "image/png";
+  if (n.endsWith(".jpg") || n.endsWith(".jpeg")) return "image/jpeg";
+  if (n.endsWith(".webp")) return "image/webp";
+  if (n.endsWith(".json")) return "application/json; charset=utf-8";
+  return null;
+}
+
+// Extension for the image types catalog textures come in, or null.
+export function imageExtensionFromType(type) {
+  const t = String(type || "").split(";")[0].trim().toLowerCase();
+  if (t === "image/png") return "png";
+  if (t === "image/jpeg") return "jpg";
+  if (t === "image/webp") return "webp";
+  return null;
+}
+
+export function sanitizeFilename(name) {
+  const s = String(name || "").trim();
+  if (!s) return "";
+  // Strip path separators + quotes + control chars.
+  return s
+    .replace(/[\\/]/g, "-")
+    .replace(/[\"\n\r\t\0]/g, "")
+    .slice(0, 180);
+}
+
+// iOS/Safari is picky — include both filename and filename* to avoid odd ".bin" naming.
+export function attachmentDisposition(safeName) {
+  const enc = encodeURIComponent(safeName);
+  return `attachment; filename=\"${safeName}\"; filename*=UTF-8''${enc}`;
+}
+
+// glTF buffers/images can point at our own /api/file proxy or straight at
+// Drive. Returns the file ID they refer to, or null.
+export function driveIdFromUri(uri, base) {
+  let u;
+  try {
+    u = new URL(uri, base);
+  } catch {
+    return null;
+  }
+
+  if (u.origin === base.origin && u.pathname === "/api/file") return u.searchParams.get("id");
+  if (u.hostname === "drive.google.com" || u.hostname === "drive.usercontent.google.com") {
+    const m = /\/file\/d\/([^/]+)/.exec(u.pathname);
+    return u.searchParams.get("id") || (m ? m[1] : null);
+  }
+  return null;
+}
+
+// A relative glTF URI ("model.bin", "./skin.png") names a file in the same
+// folder as the model. Returns that file name, or null for anything else
+// (absolute and data: URIs, paths into subfolders).
+export function siblingNameFromUri(uri) {
+  const s = String(uri || "").split(/[?#]/)[0].replace(/^\.\//, "");
+  if (!s || /^[a-z][a-z0-9+.-]*:/i.test(s)) return null;
+  let name;
+  try {
+    name = decodeURIComponent(s);
+  } catch {
+    return null;
+  }
+  return name && !/[\\/]|^\.\.?$/.test(name) ? name : null;
+}
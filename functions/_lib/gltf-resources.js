@@ -0,0 +1,39 @@
+// External buffers and images a catalog glTF points at, fetched on the
+// model's behalf by /api/pack and /api/model-info.
+
+import { isKnownFileId } from "./catalog.js";
+import { loadFile } from "./file-cache.js";
+import { driveIdFromUri, siblingNameFromUri } from "./files.js";
+import { getStorage } from "./storage/index.js";
+
+/**
+ * Returns `loadUri(uri)` resolving to the bytes of a file the model `id`
+ * references. Links to /api/file or Drive are only followed to other catalog
+ * files, so a model can't be used to fetch arbitrary Drive IDs; relative URIs
+ * ("model.bin") are looked up by name in the model's own folder. Anything
+ * else, or a file that fails to load, rejects.
+ */
+export function gltfResourceLoader(context, id) {
+  const base = new URL(`/api/file?id=${encodeURIComponent(id)}`, context.request.url);
+
+  const resolveId = async (uri) => {
+    const linked = driveIdFromUri(uri, base);
+    if (linked) return (await isKnownFileId(context, linked).catch(() => false)) ? linked : null;
+
+    const name = siblingNameFromUri(uri);
+    if (!name) return null;
+    try {
+      return await getStorage(context.env).sibling(id, name);
+    } catch (err) {
+      console.error(`sibling lookup failed for "${name}"`, err);
+      return null;
+    }
+  };
+
+  return async (uri) => {
+    const refId = await resolveId(uri);
+    const res = refId ? await loadFile(context, refId).catch(() => null) : null;
+    if (!res || res.errorResponse !== undefined) throw new Error(`Unresolvable URI: ${uri}`);
+    return res.body;
+  };
+}
@@ -0,0 +1,264 @@
+// Model statistics for /api/model-info: geometry counts and bounds from the
+// default scene, plus textures, animations and skins.
+
+import { decodeDataUri, isGlb, sniffImageMime } from "./gltf.js";
+
+const decoder = new TextDecoder();
+
+/** Width/height of a PNG, JPEG, WebP or KTX2 image, or null. */
+export function imageSize(bytes) {
+  const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const mime = sniffImageMime(u8);
+
+  if (mime === "image/png" && u8.byteLength >= 24) {
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+  }
+
+  if (mime === "image/jpeg") {
+    let i = 2;
+    while (i + 9 < u8.byteLength) {
+      if (u8[i] !== 0xff) return null;
+      const marker = u8[i + 1];
+      // SOF0..SOF15 carry the frame size (C4, C8 and CC aren't frames).
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return { width: view.getUint16(i + 7), height: view.getUint16(i + 5) };
+      }
+      i += 2 + view.getUint16(i + 2);
+    }
+    return null;
+  }
+
+  if (mime === "image/webp" && u8.byteLength >= 30) {
+    const format = decoder.decode(u8.subarray(12, 16));
+    if (format === "VP8 ") {
+      return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+    }
+    if (format === "VP8L") {
+      const b = view.getUint32(21, true);
+      return { width: (b & 0x3fff) + 1, height: ((b >> 14) & 0x3fff) + 1 };
+    }
+    if (format === "VP8X") {
+      const w = u8[24] | (u8[25] << 8) | (u8[26] << 16);
+      const h = u8[27] | (u8[28] << 8) | (u8[29] << 16);
+      return { width: w + 1, height: h + 1 };
+    }
+    return null;
+  }
+
+  // KTX2 (KHR_texture_basisu): «KTX 20» identifier, then pixelWidth/Height.
+  if (u8.byteLength >= 28 && u8[0] === 0xab && decoder.decode(u8.subarray(1, 7)) === "KTX 20") {
+    return { width: view.getUint32(20, true), height: view.getUint32(24, true) };
+  }
+  return null;
+}
+
+// --- Transforms (column-major 4x4, as glTF stores them) ---------------------
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+function multiply(a, b) {
+  const out = new Array(16);
+  for (let c = 0; c < 4; c++) {
+    for (let r = 0; r < 4; r++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + r] * b[c * 4 + k];
+      out[c * 4 + r] = sum;
+    }
+  }
+  return out;
+}
+
+function localMatrix(node) {
+  if (Array.isArray(node.matrix) && node.matrix.length === 16) return node.matrix;
+  const [tx, ty, tz] = node.translation || [0, 0, 0];
+  const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale || [1, 1, 1];
+  return [
+    (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+    2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+    2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+    tx, ty, tz, 1,
+  ];
+}
+
+function transformPoint(m, [x, y, z]) {
+  return [
+    m[0] * x + m[4] * y + m[8] * z + m[12],
+    m[1] * x + m[5] * y + m[9] * z + m[13],
+    m[2] * x + m[6] * y + m[10] * z + m[14],
+  ];
+}
+
+// --- Stats -----------------------------------------------------------------
+
+function primitiveTriangles(json, prim) {
+  const count = json.accessors?.[prim.indices ?? prim.attributes?.POSITION]?.count || 0;
+  const mode = prim.mode ?? 4;
+  if (mode === 4) return Math.floor(count / 3);
+  if (mode === 5 || mode === 6) return Math.max(0, count - 2);
+  return 0; // points and lines
+}
+
+function rootNodes(json) {
+  const scenes = json.scenes || [];
+  const scene = scenes[json.scene ?? 0];
+  if (scene?.nodes) return scene.nodes;
+  // No scene: every node that isn't somebody's child.
+  const children = new Set((json.nodes || []).flatMap((n) => n.children || []));
+  return (json.nodes || []).map((_, i) => i).filter((i) => !children.has(i));
+}
+
+// Triangles/vertices per rendered mesh instance, and world-space bounds.
+function sceneGeometry(json) {
+  let triangles = 0;
+  let vertices = 0;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  const visited = new Set();
+
+  const visit = (index, parent) => {
+    const node = json.nodes?.[index];
+    // Guard against cyclic (invalid) hierarchies.
+    if (!node || visited.has(index)) return;
+    visited.add(index);
+    const world = multiply(parent, localMatrix(node));
+
+    const mesh = json.meshes?.[node.mesh];
+    for (const prim of mesh?.primitives || []) {
+      const position = json.accessors?.[prim.attributes?.POSITION];
+      triangles += primitiveTriangles(json, prim);
+      vertices += position?.count || 0;
+      if (!position?.min || !position?.max) continue;
+      const [x0, y0, z0] = position.min;
+      const [x1, y1, z1] = position.max;
+      for (const corner of [
+        [x0, y0, z0], [x1, y0, z0], [x0, y1, z0], [x0, y0, z1],
+        [x1, y1, z0], [x1, y0, z1], [x0, y1, z1], [x1, y1, z1],
+      ]) {
+        const p = transformPoint(world, corner);
+        for (let k = 0; k < 3; k++) {
+          min[k] = Math.min(min[k], p[k]);
+          max[k] = Math.max(max[k], p[k]);
+        }
+      }
+    }
+
+    for (const child of node.children || []) visit(child, world);
+  };
+  for (const index of rootNodes(json)) visit(index, IDENTITY);
+
+  const round = (v) => Math.round(v * 1e4) / 1e4;
+  const boundingBox = Number.isFinite(min[0])
+    ? { min: min.map(round), max: max.map(round), size: max.map((v, k) => round(v - min[k])) }
+    : null;
+  return { triangles, vertices, boundingBox };
+}
+
+// A data: URI is decoded in place (a malformed one leaves the resource
+// unreadable); anything else goes through loadUri.
+async function readUri(uri, loadUri) {
+  if (/^data:/i.test(uri)) {
+    try {
+      return decodeDataUri(uri)?.bytes || null;
+    } catch {
+      return null;
+    }
+  }
+  return loadUri ? await loadUri(uri).catch(() => null) : null;
+}
+
+async function imageStats(json, bin, loadUri) {
+  const buffers = new Map();
+  const bufferBytes = async (i) => {
+    if (!buffers.has(i)) {
+      const buffer = json.buffers?.[i];
+      let bytes = null;
+      if (buffer?.uri == null) bytes = i === 0 ? bin : null;
+      else bytes = await readUri(buffer.uri, loadUri);
+      buffers.set(i, bytes ? new Uint8Array(bytes) : null);
+    }
+    return buffers.get(i);
+  };
+
+  const out = [];
+  for (const [index, image] of (json.images || []).entries()) {
+    let bytes = null;
+    if (image.bufferView != null) {
+      const view = json.bufferViews?.[image.bufferView];
+      const buffer = view ? await bufferBytes(view.buffer) : null;
+      if (buffer) bytes = buffer.subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength);
+    } else if (image.uri != null) {
+      bytes = await readUri(image.uri, loadUri);
+      if (bytes) bytes = new Uint8Array(bytes);
+    }
+
+    const size = bytes ? imageSize(bytes) : null;
+    out.push({
+      index,
+      name: image.name || (image.uri && !image.uri.startsWith("data:") ? image.uri : "") || `image ${index}`,
+      mimeType: image.mimeType || (bytes && sniffImageMime(bytes)) || null,
+      width: size?.width ?? null,
+      height: size?.height ?? null,
+      byteLength: bytes?.byteLength ?? null,
+    });
+  }
+  return out;
+}
+
+function animationStats(json) {
+  return (json.animations || []).map((anim, index) => {
+    let duration = 0;
+    for (const sampler of anim.samplers || []) {
+      const input = json.accessors?.[sampler.input];
+      if (Array.isArray(input?.max)) duration = Math.max(duration, input.max[0]);
+    }
+    return {
+      index,
+      name: anim.name || `animation ${index}`,
+      duration: Math.round(duration * 1000) / 1000,
+      channels: (anim.channels || []).length,
+    };
+  });
+}
+
+/**
+ * Everything /api/model-info reports for a parsed glTF container. External
+ * buffers/images are fetched through `loadUri(uri)` when given; without it
+ * their dimensions come back as null.
+ */
+export async function gltfStats({ json, bin }, { fileBytes = null, loadUri = null } = {}) {
+  const { triangles, vertices, boundingBox } = sceneGeometry(json);
+  const textures = await imageStats(json, bin, loadUri);
+  const animations = animationStats(json);
+  const skins = (json.skins || []).map((skin, index) => ({
+    index,
+    name: skin.name || `skin ${index}`,
+    bones: (skin.joints || []).length,
+  }));
+
+  return {
+    format: fileBytes && isGlb(fileBytes) ? "glb" : "gltf",
+    generator: json.asset?.generator || null,
+    fileSize: fileBytes?.byteLength ?? null,
+    counts: {
+      scenes: (json.scenes || []).length,
+      nodes: (json.nodes || []).length,
+      meshes: (json.meshes || []).length,
+      primitives: (json.meshes || []).reduce((n, m) => n + (m.primitives || []).length, 0),
+      materials: (json.materials || []).length,
+      textures: textures.length,
+      animations: animations.length,
+      skins: skins.length,
+    },
+    triangles,
+    vertices,
+    boundingBox,
+    rigged: skins.length > 0,
+    animated: animations.length > 0,
+    textures,
+    animations,
+    skins,
+    extensionsUsed: json.extensionsUsed || [],
+  };
+}
@@ -0,0 +1,177 @@
+// glTF / GLB container helpers: parsing either flavour and packing a glTF with
+// external or data-URI resources into one self-contained GLB.
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const CHUNK_JSON = 0x4e4f534a; // "JSON"
+const CHUNK_BIN = 0x004e4942; // "BIN\0"
+
+const decoder = new TextDecoder();
+const encoder = new TextEncoder();
+
+export function isGlb(bytes) {
+  const u8 = toUint8(bytes);
+  return u8.byteLength >= 12 && new DataView(u8.buffer, u8.byteOffset, 12).getUint32(0, true) === GLB_MAGIC;
+}
+
+/**
+ * Returns { json, bin } for a .gltf (JSON) or .glb file. `bin` is the GLB
+ * binary chunk (or null).
+ */
+export function parseGltfContainer(bytes) {
+  const u8 = toUint8(bytes);
+  if (!isGlb(u8)) {
+    return { json: JSON.parse(decoder.decode(u8)), bin: null };
+  }
+
+  const view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const length = Math.min(view.getUint32(8, true), u8.byteLength);
+  let offset = 12;
+  let json = null;
+  let bin = null;
+
+  while (offset + 8 <= length) {
+    const chunkLength = view.getUint32(offset, true);
+    const chunkType = view.getUint32(offset + 4, true);
+    const start = offset + 8;
+    const chunk = u8.subarray(start, start + chunkLength);
+    if (chunkType === CHUNK_JSON) json = JSON.parse(decoder.decode(chunk));
+    else if (chunkType === CHUNK_BIN && !bin) bin = chunk;
+    offset = start + chunkLength;
+  }
+
+  if (!json) throw new Error("GLB has no JSON chunk");
+  return { json, bin };
+}
+
+export function decodeDataUri(uri) {
+  const m = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s.exec(String(uri || ""));
+  if (!m) return null;
+  const mimeType = m[1] || "application/octet-stream";
+  const isBase64 = /;base64/i.test(m[2]);
+  const payload = m[3];
+
+  if (isBase64) {
+    const bin = atob(payload);
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return { mimeType, bytes: out };
+  }
+  return { mimeType, bytes: encoder.encode(decodeURIComponent(payload)) };
+}
+
+export function sniffImageMime(bytes) {
+  const u8 = toUint8(bytes);
+  if (u8[0] === 0x89 && u8[1] === 0x50 && u8[2] === 0x4e && u8[3] === 0x47) return "image/png";
+  if (u8[0] === 0xff && u8[1] === 0xd8) return "image/jpeg";
+  if (decoder.decode(u8.subarray(0, 4)) === "RIFF" && decoder.decode(u8.subarray(8, 12)) === "WEBP") {
+    return "image/webp";
+  }
+  return null;
+}
+
+/**
+ * Packs a glTF into a single GLB: every buffer becomes part of one BIN chunk
+ * and every image with a `uri` becomes a bufferView. `loadUri(uri)` resolves
+ * external (non data:) URIs to bytes.
+ */
+export async function packGlb({ json, bin }, loadUri) {
+  const gltf = JSON.parse(JSON.stringify(json));
+
+  const load = async (uri) => {
+    const data = decodeDataUri(uri);
+    if (data) return data;
+    const bytes = toUint8(await loadUri(uri));
+    return { mimeType: null, bytes };
+  };
+
+  // 1) Gather every buffer's bytes.
+  const parts = [];
+  let total = 0;
+  const bufferOffsets = [];
+  for (const [i, buffer] of (gltf.buffers || []).entries()) {
+    let bytes;
+    if (buffer.uri == null) {
+      if (i !== 0 || !bin) throw new Error(`Buffer ${i} has no data`);
+      bytes = bin;
+    } else {
+      bytes = (await load(buffer.uri)).bytes;
+    }
+    total = align4(total);
+    bufferOffsets[i] = total;
+    parts.push({ offset: total, bytes });
+    total += bytes.byteLength;
+  }
+
+  // 2) Point every bufferView at the merged buffer.
+  for (const view of gltf.bufferViews || []) {
+    view.byteOffset = (view.byteOffset || 0) + (bufferOffsets[view.buffer] || 0);
+    view.buffer = 0;
+    const meshopt = view.extensions?.EXT_meshopt_compression;
+    if (meshopt) {
+      meshopt.byteOffset = (meshopt.byteOffset || 0) + (bufferOffsets[meshopt.buffer] || 0);
+      meshopt.buffer = 0;
+    }
+  }
+
+  // 3) Inline images that still reference a URI.
+  if (!gltf.bufferViews) gltf.bufferViews = [];
+  for (const image of gltf.images || []) {
+    if (image.uri == null) continue;
+    const { mimeType, bytes } = await load(image.uri);
+    total = align4(total);
+    parts.push({ offset: total, bytes });
+    gltf.bufferViews.push({ buffer: 0, byteOffset: total, byteLength: bytes.byteLength });
+    total += bytes.byteLength;
+
+    image.bufferView = gltf.bufferViews.length - 1;
+    image.mimeType = image.mimeType || sniffImageMime(bytes) || mimeType || "image/png";
+    delete image.uri;
+  }
+
+  if (!gltf.bufferViews.length) delete gltf.bufferViews;
+  gltf.buffers = total > 0 ? [{ byteLength: total }] : undefined;
+  if (!gltf.buffers) delete gltf.buffers;
+
+  const binChunk = new Uint8Array(align4(total));
+  for (const p of parts) binChunk.set(p.bytes, p.offset);
+
+  return encodeGlb(gltf, total > 0 ? binChunk : null);
+}
+
+export function encodeGlb(json, binChunk) {
+  const jsonBytes = encoder.encode(JSON.stringify(json));
+  const jsonLength = align4(jsonBytes.byteLength);
+  const binLength = binChunk ? align4(binChunk.byteLength) : 0;
+  const total = 12 + 8 + jsonLength + (binChunk ? 8 + binLength : 0);
+
+  const out = new Uint8Array(total);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, total, true);
+
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, CHUNK_JSON, true);
+  out.set(jsonBytes, 20);
+  // JSON chunk padding must be spaces.
+  out.fill(0x20, 20 + jsonBytes.byteLength, 20 + jsonLength);
+
+  if (binChunk) {
+    const at = 20 + jsonLength;
+    view.setUint32(at, binLength, true);
+    view.setUint32(at + 4, CHUNK_BIN, true);
+    out.set(binChunk, at + 8);
+  }
+
+  return out;
+}
+
+function align4(n) {
+  return (n + 3) & ~3;
+}
+
+function toUint8(bytes) {
+  if (bytes instanceof Uint8Array) return bytes;
+  if (ArrayBuffer.isView(bytes)) return new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return new Uint8Array(bytes);
+}
@@ -0,0 +1,49 @@
+import { UpstreamError } from "./upstream.js";
+
+export function corsJsonHeaders(maxAge = 60) {
+  return {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Expose-Headers": "X-Stale",
+    "Cache-Control": maxAge > 0 ? `public, max-age=${maxAge}` : "no-store",
+  };
+}
+
+export function jsonResponse(data, { status = 200, maxAge = 60, headers = {} } = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsJsonHeaders(maxAge), ...headers },
+  });
+}
+
+// Every API error has this shape: { error: { code, message, status, retryable } }.
+export function jsonError(status, code, message, { headers = {} } = {}) {
+  const retryable = status === 429 || status >= 500;
+  return jsonResponse({ error: { code, message, status, retryable } }, { status, maxAge: 0, headers });
+}
+
+// How UpstreamError sources are named to users.
+const UPSTREAM_NAMES = {
+  drive: "Google Drive",
+  "apps-script": "The catalog's Apps Script",
+};
+
+// Maps anything a handler throws onto the JSON error shape.
+export function errorResponse(err) {
+  if (err instanceof UpstreamError) {
+    const who = UPSTREAM_NAMES[err.source] || "An upstream service";
+    const message = err.status === 504
+      ? `${who} took too long to respond. Try again shortly.`
+      : `${who} is having trouble right now. Try again shortly.`;
+    return jsonError(err.status, err.code, message);
+  }
+  console.error("unhandled error", err);
+  return jsonError(500, "internal_error", "Something went wrong on our side.");
+}
+
+// Marks responses served from the last good copy after an upstream failure.
+export function staleHeaders(stale) {
+  return stale ? { "X-Stale": "1", Warning: '110 - "Response is Stale"' } : {};
+}
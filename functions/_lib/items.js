@@ -0,0 +1,50 @@
+// Small helpers for catalog entries, shared by the catalog, search and zip code.
+
+export function slugify(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+export function titleCase(str) {
+  return String(str || "")
+    .replace(/[_-]/g, " ")
+    .replace(/\b\w/g, (m) => m.toUpperCase());
+}
+
+export function fileIdOf(type, item) {
+  if (type === "maps") return item?.glbId || null;
+  if (type === "textures") return item?.imageId || null;
+  return item?.modelId || null;
+}
+
+/**
+ * One entry per asset in a game, each tagged with its folder. Items in
+ * subfolders win over the ALL group; root-level files only appear in ALL.
+ */
+export function flattenGameItems(type, game) {
+  const out = [];
+  const seen = new Set();
+  const push = (it, folderKey, folderLabel) => {
+    const id = fileIdOf(type, it);
+    const dedupe = id || `${it.name}::${it.path}`;
+    if (seen.has(dedupe)) return;
+    seen.add(dedupe);
+    out.push({ ...it, id, folderKey, folderLabel });
+  };
+
+  const groups = game?.groups || [];
+  for (const g of groups) {
+    if (g.key === "all") continue;
+    for (const it of g.items || []) push(it, g.key, g.label);
+  }
+  for (const g of groups) {
+    if (g.key !== "all") continue;
+    for (const it of g.items || []) {
+      const label = it.folderLabel || it.modeLabel || "";
+      push(it, slugify(label) || "root", label);
+    }
+  }
+  return out;
+}
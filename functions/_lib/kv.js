@@ -0,0 +1,53 @@
+// Key-value storage used by the catalog layer.
+//
+// In production this is a Workers KV namespace bound as `CATALOG`. When the
+// binding is missing (tests, local runs, preview deployments without KV) we
+// fall back to an in-memory store with the same get/put/delete/list surface.
+
+export class MemoryKV {
+  constructor() {
+    this.map = new Map();
+  }
+
+  async get(key, options) {
+    const entry = this.map.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.map.delete(key);
+      return null;
+    }
+
+    const type = typeof options === "string" ? options : options?.type || "text";
+    if (type === "json") return JSON.parse(entry.value);
+    return entry.value;
+  }
+
+  async put(key, value, options = {}) {
+    const ttl = Number(options.expirationTtl || 0);
+    this.map.set(key, {
+      value: typeof value === "string" ? value : String(value),
+      expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : 0,
+    });
+  }
+
+  async delete(key) {
+    this.map.delete(key);
+  }
+
+  async list({ prefix = "" } = {}) {
+    const keys = [...this.map.keys()]
+      .filter((name) => name.startsWith(prefix))
+      .sort()
+      .map((name) => ({ name }));
+    return { keys, list_complete: true };
+  }
+}
+
+// One fallback store per isolate so consecutive requests share a snapshot.
+let fallbackStore = null;
+
+export function getCatalogStore(env) {
+  if (env?.CATALOG) return env.CATALOG;
+  if (!fallbackStore) fallbackStore = new MemoryKV();
+  return fallbackStore;
+}
@@ -0,0 +1,49 @@
+// HTTP Range helpers for /api/file (single byte ranges only; multipart ranges
+// are answered with the full body, which RFC 9110 allows).
+
+/**
+ * Parses a `Range` header against a body of `size` bytes.
+ * Returns { start, end } (inclusive), "unsatisfiable", or null when the
+ * header is absent or not something we handle.
+ */
+export function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!m || (!m[1] && !m[2])) return null;
+
+  let start;
+  let end;
+  if (!m[1]) {
+    // Suffix range: the last N bytes.
+    const suffix = Number(m[2]);
+    if (suffix === 0) return "unsatisfiable";
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] ? Math.min(Number(m[2]), size - 1) : size - 1;
+    if (m[2] && Number(m[2]) < start) return null;
+  }
+
+  if (start >= size || size === 0) return "unsatisfiable";
+  return { start, end };
+}
+
+/**
+ * `If-Range` only lets the range through when it matches the current
+ * representation: a strong ETag, or the exact Last-Modified date.
+ */
+export function ifRangeMatches(ifRange, { etag, lastModified } = {}) {
+  const v = String(ifRange || "").trim();
+  if (!v) return true;
+  if (v.startsWith('"') || v.startsWith("W/")) {
+    return !!etag && !v.startsWith("W/") && !String(etag).startsWith("W/") && v === etag;
+  }
+  if (!lastModified) return false;
+  const a = Date.parse(v);
+  const b = Date.parse(lastModified);
+  return Number.isFinite(a) && a === b;
+}
+
+export function contentRange({ start, end }, size) {
+  return `bytes ${start}-${end}/${size}`;
+}
@@ -0,0 +1,24 @@
+// Seasonal events shown on the Rewind page. Order doesn't matter; the
+// endpoint sorts them by start date.
+//
+// Each event pulls its assets from the catalogs with `include` rules. A rule
+// matches an item when every field it sets matches:
+//   type    "models" | "maps" | "textures"
+//   game    gamemode key, e.g. "bedwars"
+//   folder  folder (models) or mode (maps) key
+//   query   case-insensitive text, or a list of them, found in the name or folder
+//   ids     explicit Drive file IDs
+// An item belongs to the event when any rule matches.
+
+export const REWIND_EVENTS = [
+  {
+    id: "lunar-new-year-valentines-2026",
+    title: "Lunar New Year and Valentines Bundle",
+    season: "Winter 2026",
+    start: "2026-02-09",
+    end: "2026-02-23",
+    description:
+      "Lanterns, hearts and the rest of the seasonal cosmetics and decorations from the 2026 Lunar New Year and Valentines bundle.",
+    include: [{ query: ["lunar", "valentine"] }],
+  },
+];
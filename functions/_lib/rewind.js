@@ -0,0 +1,75 @@
+// Rewind: past seasonal events with the catalog assets that belong to them.
+
+import { flattenGameItems } from "./items.js";
+
+function asList(v) {
+  if (v == null || v === "") return [];
+  return (Array.isArray(v) ? v : [v]).map((s) => String(s).toLowerCase());
+}
+
+function ruleMatches(rule, item) {
+  if (rule.type && rule.type !== item.type) return false;
+  if (rule.game && String(rule.game).toLowerCase() !== item.game) return false;
+  if (rule.folder && String(rule.folder).toLowerCase() !== item.folder) return false;
+  const ids = asList(rule.ids);
+  if (ids.length && !ids.includes(String(item.id).toLowerCase())) return false;
+  const queries = asList(rule.query);
+  if (queries.length) {
+    const text = `${item.name} ${item.folderLabel}`.toLowerCase();
+    if (!queries.some((q) => text.includes(q))) return false;
+  }
+  // A rule that sets nothing but a type would swallow a whole catalog.
+  return !!(rule.game || rule.folder || ids.length || queries.length);
+}
+
+// Every catalog item (with a file) across the given snapshots, in one shape.
+function catalogItems(snapshots) {
+  const out = [];
+  for (const snapshot of snapshots) {
+    for (const game of snapshot?.games || []) {
+      for (const it of flattenGameItems(snapshot.type, game)) {
+        if (!it.id) continue;
+        const item = {
+          type: snapshot.type,
+          id: it.id,
+          name: it.name,
+          game: game.key,
+          gameLabel: game.label,
+          folder: it.folderKey,
+          folderLabel: it.folderLabel || "",
+        };
+        if (it.thumbId) item.thumbId = it.thumbId;
+        if (it.mimeType) item.mimeType = it.mimeType;
+        out.push(item);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Events (newest first) with the items each one's rules pick out of the
+ * model and map snapshots.
+ */
+export function buildRewind(snapshots, events) {
+  const items = catalogItems(snapshots);
+  return events
+    .map((event) => {
+      const rules = Array.isArray(event.include) ? event.include : [];
+      const matched = items.filter((item) => rules.some((rule) => ruleMatches(rule, item)));
+      return {
+        id: event.id,
+        title: event.title,
+        season: event.season || "",
+        start: event.start || null,
+        end: event.end || null,
+        description: event.description || "",
+        image: event.image || null,
+        counts: Object.fromEntries(
+          snapshots.map((s) => [s.type, matched.filter((it) => it.type === s.type).length])
+        ),
+        items: matched,
+      };
+    })
+    .sort((a, b) => (Date.parse(b.start || "") || 0) - (Date.parse(a.start || "") || 0));
+}
@@ -0,0 +1,90 @@
+// Cross-game search index built from catalog snapshots.
+//
+// The index is a flat list of documents with pre-normalized text, written to
+// KV next to each snapshot. It's small enough (a few thousand entries) that a
+// linear scan with simple scoring beats maintaining an inverted index.
+
+import { fileIdOf, flattenGameItems } from "./items.js";
+
+export function normalizeText(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+export function buildSearchIndex(snapshot) {
+  const docs = [];
+  for (const game of snapshot?.games || []) {
+    for (const it of flattenGameItems(snapshot.type, game)) {
+      const name = normalizeText(it.name);
+      docs.push({
+        type: snapshot.type,
+        name: it.name,
+        path: it.path || it.folderLabel || "",
+        game: { key: game.key, label: game.label },
+        folder: { key: it.folderKey, label: it.folderLabel || "" },
+        fileId: fileIdOf(snapshot.type, it),
+        thumbId: it.thumbId || null,
+        thumbUrl: it.thumbUrl || null,
+        n: name,
+        t: name.split(" ").filter(Boolean),
+        p: normalizeText(`${it.path || ""} ${it.folderLabel || ""}`),
+      });
+    }
+  }
+  return { type: snapshot?.type, builtAt: snapshot?.builtAt, docs };
+}
+
+function scoreDoc(doc, q, tokens) {
+  let score = 0;
+  if (doc.n === q) score += 100;
+  else if (doc.n.startsWith(q)) score += 60;
+  else if (doc.n.includes(q)) score += 30;
+
+  for (const token of tokens) {
+    if (doc.t.includes(token)) score += 20;
+    else if (doc.t.some((t) => t.startsWith(token))) score += 12;
+    else if (doc.n.includes(token)) score += 6;
+    else if (doc.p.includes(token)) score += 3;
+    // Every token has to match somewhere.
+    else return 0;
+  }
+
+  // Prefer tighter names when scores tie ("dragon" over "dragon egg stand").
+  return score - doc.n.length * 0.01;
+}
+
+/**
+ * Ranked hits for `query` across one or more indexes, optionally limited to a
+ * game and folder. Returns { total, hits }.
+ */
+export function searchIndexes(indexes, query, { game = "", folder = "", limit = 50 } = {}) {
+  const q = normalizeText(query);
+  if (!q) return { total: 0, hits: [] };
+  const tokens = q.split(" ");
+
+  const scored = [];
+  for (const index of indexes) {
+    for (const doc of index?.docs || []) {
+      if (game && doc.game.key !== game) continue;
+      if (folder && folder !== "all" && doc.folder.key !== folder) continue;
+      const score = scoreDoc(doc, q, tokens);
+      if (score > 0) scored.push({ doc, score });
+    }
+  }
+
+  scored.sort((a, b) => b.score - a.score || a.doc.name.localeCompare(b.doc.name));
+  const hits = scored.slice(0, limit).map(({ doc, score }) => ({
+    type: doc.type,
+    name: doc.name,
+    path: doc.path,
+    game: doc.game,
+    folder: doc.folder,
+    fileId: doc.fileId,
+    thumbId: doc.thumbId,
+    thumbUrl: doc.thumbUrl,
+    score: Math.round(score * 100) / 100,
+  }));
+  return { total: scored.length, hits };
+}
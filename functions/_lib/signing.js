@@ -0,0 +1,52 @@
+// HMAC-signed, expiring download links.
+//
+// A signed link carries `exp` (unix seconds) and `sig` (hex HMAC-SHA256 of
+// "<id>:<exp>") using the LINK_SIGNING_SECRET binding.
+
+export const DEFAULT_LINK_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const encoder = new TextEncoder();
+
+async function hmacKey(secret) {
+  return await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"]
+  );
+}
+
+function toHex(buf) {
+  return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function fromHex(hex) {
+  const s = String(hex || "");
+  if (!/^[0-9a-f]*$/i.test(s) || s.length % 2) return null;
+  const out = new Uint8Array(s.length / 2);
+  for (let i = 0; i < out.length; i++) out[i] = parseInt(s.slice(i * 2, i * 2 + 2), 16);
+  return out;
+}
+
+export async function signFileLink(secret, id, ttlSeconds = DEFAULT_LINK_TTL_SECONDS) {
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const key = await hmacKey(secret);
+  const sig = await crypto.subtle.sign("HMAC", key, encoder.encode(`${id}:${exp}`));
+  return { exp, sig: toHex(sig) };
+}
+
+/**
+ * Returns "valid", "expired" or "invalid". Expiry is only reported for links
+ * whose signature checks out, so a tampered `exp` reads as invalid.
+ */
+export async function verifyFileLink(secret, id, exp, sig) {
+  const expNum = Number(exp);
+  const sigBytes = fromHex(sig);
+  if (!secret || !Number.isInteger(expNum) || !sigBytes) return "invalid";
+
+  const key = await hmacKey(secret);
+  const ok = await crypto.subtle.verify("HMAC", key, sigBytes, encoder.encode(`${id}:${expNum}`));
+  if (!ok) return "invalid";
+  return expNum * 1000 < Date.now() ? "expired" : "valid";
+}
@@ -0,0 +1,240 @@
+// Google Drive storage adapter, plus the download helpers behind it (including
+// the large-file interstitial bypass).
+
+import { fetchUpstreamJson, fetchWithRetry, retryOptions } from "../upstream.js";
+
+// Drive can be slow to start a large download; the timeout covers headers only.
+const DRIVE_TIMEOUT_MS = 15000;
+
+function driveFetch(url, headers = {}, { retryDelayMs } = {}) {
+  return fetchWithRetry(url, { redirect: "follow", headers }, { timeoutMs: DRIVE_TIMEOUT_MS, source: "drive", retryDelayMs });
+}
+
+export function cookieHeaderFromSetCookie(setCookie) {
+  if (!setCookie) return "";
+  // Workers may collapse multiple Set-Cookie headers into one string.
+  // This is a best-effort extraction of cookie pairs.
+  // Splitting on "," also cuts inside `expires=` dates; those fragments have
+  // no name=value pair before their first ";" and are dropped.
+  return setCookie
+    .split(",")
+    .map((part) => part.split(";")[0].trim())
+    .filter((pair) => pair.includes("="))
+    .join("; ");
+}
+
+function rangeHeadersFor({ range, ifRange } = {}) {
+  const out = {};
+  if (range) out.Range = range;
+  if (range && ifRange) out["If-Range"] = ifRange;
+  return out;
+}
+
+export async function fetchDriveFile(id, opts = {}) {
+  const base = `https://drive.google.com/uc?export=download&id=${id}`;
+  const rangeHeaders = rangeHeadersFor(opts);
+  let first = await driveFetch(base, rangeHeaders, opts);
+  const ct1 = (first.headers.get("Content-Type") || "").toLowerCase();
+
+  // Normal path: we got the file stream.
+  if (!ct1.includes("text/html")) return first;
+  // Drive's 404/5xx pages are HTML too, but they're errors, not interstitials.
+  if (first.status >= 400) return first;
+
+  // Never parse a partial interstitial page.
+  if (first.status === 206) first = await driveFetch(base, {}, opts);
+
+  // Large/flagged files return an interstitial HTML page that requires a confirm token.
+  const html = await first.text();
+
+  let confirm = null;
+  const mConfirm = html.match(/confirm=([0-9A-Za-z_]+)&/);
+  if (mConfirm) confirm = mConfirm[1];
+
+  const setCookie = first.headers.get("set-cookie") || "";
+  const mCookie = setCookie.match(/download_warning[^=]*=([^;]+)/);
+  if (mCookie) confirm = confirm || mCookie[1];
+
+  // Sometimes the confirm URL is present as a form action.
+  let actionUrl = null;
+  const mAction = html.match(/action=\"([^\"]+)\"/);
+  if (mAction) {
+    const raw = mAction[1].replace(/&amp;/g, "&");
+    if (raw.includes("uc?export=download")) {
+      actionUrl = raw.startsWith("http") ? raw : `https://drive.google.com${raw}`;
+    }
+  }
+
+  const cookie = cookieHeaderFromSetCookie(setCookie);
+  const headers = cookie ? { ...rangeHeaders, cookie } : rangeHeaders;
+
+  // Build second request URL.
+  let url2 = actionUrl || base;
+  try {
+    const u = new URL(url2);
+    if (confirm && !u.searchParams.get("confirm")) u.searchParams.set("confirm", confirm);
+    url2 = u.href;
+  } catch {
+    if (confirm) url2 = `${base}&confirm=${confirm}`;
+  }
+
+  let second = await driveFetch(url2, headers, opts);
+  let ct2 = (second.headers.get("Content-Type") || "").toLowerCase();
+
+  // Still HTML? Try extracting a direct download link (drive.usercontent).
+  if (ct2.includes("text/html")) {
+    const html2 = await second.text();
+    const mHref = html2.match(
+      /href=\"(https:\/\/drive\.usercontent\.google\.com\/download[^\"]+)\"/
+    );
+    if (mHref) {
+      const url3 = mHref[1].replace(/&amp;/g, "&");
+      second = await driveFetch(url3, headers, opts);
+      ct2 = (second.headers.get("Content-Type") || "").toLowerCase();
+      if (!ct2.includes("text/html")) return second;
+    }
+
+    return new Response(
+      "Drive returned an interstitial page that could not be bypassed.",
+      { status: 502 }
+    );
+  }
+
+  return second;
+}
+
+const DRIVE_API = "https://www.googleapis.com/drive/v3/files";
+
+function driveDownloadUrl(id) {
+  return `https://drive.google.com/uc?export=download&id=${encodeURIComponent(id)}`;
+}
+
+function filenameFromDisposition(disposition) {
+  const m =
+    /filename\*=UTF-8''([^;]+)/i.exec(disposition || "") ||
+    /filename="?([^";]+)"?/i.exec(disposition || "");
+  if (!m) return "";
+  try {
+    return decodeURIComponent(m[1].replace(/\+/g, "%20"));
+  } catch {
+    return m[1];
+  }
+}
+
+/**
+ * Drive-backed storage. IDs are Drive file IDs; list() takes a folder ID and
+ * needs DRIVE_API_KEY (Drive has no anonymous folder listing).
+ */
+export function createDriveStorage(env = {}) {
+  const apiKey = env.DRIVE_API_KEY || "";
+  const retry = retryOptions(env);
+
+  return {
+    name: "drive",
+
+    async resolve(id) {
+      return id ? { backend: "drive", key: String(id), url: driveDownloadUrl(id) } : null;
+    },
+
+    async stream(id, opts = {}) {
+      return await fetchDriveFile(id, { ...opts, ...retry });
+    },
+
+    async head(id) {
+      if (apiKey) {
+        const u = new URL(`${DRIVE_API}/${encodeURIComponent(id)}`);
+        u.searchParams.set("fields", "name,size,mimeType,modifiedTime,md5Checksum");
+        u.searchParams.set("key", apiKey);
+        const res = await fetchWithRetry(u.toString(), {}, { source: "drive", ...retry });
+        if (res.status === 404) return null;
+        if (!res.ok) throw new Error(`Drive metadata ${res.status}`);
+        const meta = await res.json();
+        return {
+          name: meta.name || "",
+          size: Number(meta.size) || 0,
+          contentType: meta.mimeType || "application/octet-stream",
+          etag: meta.md5Checksum ? `"${meta.md5Checksum}"` : null,
+          lastModified: meta.modifiedTime ? new Date(meta.modifiedTime).toUTCString() : null,
+        };
+      }
+
+      // Without an API key, a one-byte range request tells us the size.
+      const res = await fetchDriveFile(id, { range: "bytes=0-0", ...retry });
+      try { await res.body?.cancel(); } catch {}
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`Drive ${res.status}`);
+      const total = /\/(\d+)$/.exec(res.headers.get("Content-Range") || "");
+      return {
+        name: filenameFromDisposition(res.headers.get("Content-Disposition")),
+        size: total ? Number(total[1]) : Number(res.headers.get("Content-Length")) || 0,
+        contentType: res.headers.get("Content-Type") || "application/octet-stream",
+        etag: res.headers.get("ETag"),
+        lastModified: res.headers.get("Last-Modified"),
+      };
+    },
+
+    // Drive's MD5 of the content, which only the API (and so a key) exposes.
+    // Google Docs formats have none.
+    async etag(id) {
+      if (!apiKey) return null;
+      const u = new URL(`${DRIVE_API}/${encodeURIComponent(id)}`);
+      u.searchParams.set("fields", "md5Checksum");
+      u.searchParams.set("key", apiKey);
+      const res = await fetchWithRetry(u.toString(), {}, { source: "drive", ...retry });
+      if (!res.ok) {
+        try { await res.body?.cancel(); } catch {}
+        return null;
+      }
+      const { md5Checksum } = await res.json();
+      return md5Checksum ? `"${md5Checksum}"` : null;
+    },
+
+    async list(folderId) {
+      if (!apiKey) throw new Error("Listing Drive folders needs DRIVE_API_KEY");
+      const files = [];
+      let pageToken = "";
+      do {
+        const u = new URL(DRIVE_API);
+        u.searchParams.set("q", `'${String(folderId).replace(/'/g, "")}' in parents and trashed = false`);
+        u.searchParams.set("fields", "nextPageToken,files(id,name,size,mimeType,modifiedTime)");
+        u.searchParams.set("pageSize", "1000");
+        u.searchParams.set("key", apiKey);
+        if (pageToken) u.searchParams.set("pageToken", pageToken);
+
+        const json = await fetchUpstreamJson(u.toString(), {}, { source: "drive", ...retry });
+        for (const f of json.files || []) {
+          files.push({
+            id: f.id,
+            name: f.name,
+            size: Number(f.size) || 0,
+            contentType: f.mimeType || "application/octet-stream",
+            lastModified: f.modifiedTime ? new Date(f.modifiedTime).toUTCString() : null,
+          });
+        }
+        pageToken = json.nextPageToken || "";
+      } while (pageToken);
+      return files;
+    },
+
+    // Looks `name` up in the file's parent folders; also needs DRIVE_API_KEY.
+    async sibling(id, name) {
+      if (!apiKey) return null;
+      const meta = new URL(`${DRIVE_API}/${encodeURIComponent(id)}`);
+      meta.searchParams.set("fields", "parents");
+      meta.searchParams.set("key", apiKey);
+      const { parents = [] } = await fetchUpstreamJson(meta.toString(), {}, { source: "drive", ...retry });
+
+      const quote = (s) => `'${String(s).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+      for (const parent of parents) {
+        const u = new URL(DRIVE_API);
+        u.searchParams.set("q", `${quote(parent)} in parents and name = ${quote(name)} and trashed = false`);
+        u.searchParams.set("fields", "files(id)");
+        u.searchParams.set("pageSize", "1");
+        u.searchParams.set("key", apiKey);
+        const json = await fetchUpstreamJson(u.toString(), {}, { source: "drive", ...retry });
+        if (json.files?.[0]?.id) return json.files[0].id;
+      }
+      return null;
+    },
+  };
+}
@@ -0,0 +1,71 @@
+// Where catalog files are actually stored.
+//
+// Every adapter has the same surface:
+//   resolve(id)               -> { backend, key, url? } or null when it doesn't have the file
+//   stream(id, { range, ifRange }) -> Response (200, 206, 404, 416, ...)
+//   head(id)                  -> { name, size, contentType, etag, lastModified } or null
+//   etag(id)                  -> strong ETag from metadata alone (no download), or null
+//   list(prefix)              -> [{ id, name, size, contentType, lastModified }]
+//   sibling(id, name)         -> ID of the file called `name` in the same folder as `id`, or null
+//
+// The backend comes from the environment:
+//   STORAGE_BACKEND=drive|r2|fs picks one explicitly. Without it, a bound
+//   ASSETS_BUCKET is tried first with Drive behind it (so hot assets can move
+//   one at a time), and plain Drive is used otherwise.
+
+import { createDriveStorage } from "./drive.js";
+import { createFsStorage } from "./fs.js";
+import { createR2Storage } from "./r2.js";
+
+export function getStorage(env = {}) {
+  const backend = String(env.STORAGE_BACKEND || "").toLowerCase();
+  const r2 = () => {
+    if (!env.ASSETS_BUCKET) throw new Error("STORAGE_BACKEND=r2 needs an ASSETS_BUCKET binding");
+    return createR2Storage(env.ASSETS_BUCKET, { prefix: env.STORAGE_PREFIX || "" });
+  };
+
+  if (backend === "drive") return createDriveStorage(env);
+  if (backend === "r2") return r2();
+  if (backend === "fs") return createFsStorage(env.STORAGE_FS_ROOT);
+  if (backend) throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+
+  if (env.ASSETS_BUCKET) return layeredStorage(r2(), createDriveStorage(env));
+  return createDriveStorage(env);
+}
+
+/**
+ * Serves from `primary` and falls through to `fallback` for files it
+ * doesn't have.
+ */
+export function layeredStorage(primary, fallback) {
+  return {
+    name: `${primary.name}+${fallback.name}`,
+
+    async resolve(id) {
+      return (await primary.resolve(id)) || (await fallback.resolve(id));
+    },
+
+    async stream(id, opts) {
+      const res = await primary.stream(id, opts);
+      if (res.status !== 404) return res;
+      try { await res.body?.cancel(); } catch {}
+      return await fallback.stream(id, opts);
+    },
+
+    async head(id) {
+      return (await primary.head(id)) || (await fallback.head(id));
+    },
+
+    async etag(id) {
+      return (await primary.etag(id)) || (await fallback.etag(id));
+    },
+
+    async list(prefix) {
+      return await primary.list(prefix);
+    },
+
+    async sibling(id, name) {
+      return (await primary.sibling(id, name)) || (await fallback.sibling(id, name));
+    },
+  };
+}
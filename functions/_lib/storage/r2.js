@@ -0,0 +1,105 @@
+// Object-store (R2) storage adapter. Objects are keyed by `${prefix}${id}`,
+// so hot assets can be copied over under their Drive IDs and served from the
+// bucket without any change to catalog data or the front end.
+
+import { contentRange, ifRangeMatches, parseRange } from "../range.js";
+
+function metaOf(obj) {
+  return {
+    name: obj.customMetadata?.filename || obj.key.split("/").pop(),
+    size: obj.size,
+    contentType: obj.httpMetadata?.contentType || "application/octet-stream",
+    etag: obj.httpEtag,
+    lastModified: obj.uploaded ? new Date(obj.uploaded).toUTCString() : null,
+  };
+}
+
+function objectHeaders(obj) {
+  const headers = new Headers();
+  const meta = metaOf(obj);
+  headers.set("Content-Type", meta.contentType);
+  headers.set("ETag", meta.etag);
+  if (meta.lastModified) headers.set("Last-Modified", meta.lastModified);
+  if (obj.customMetadata?.filename) {
+    headers.set("Content-Disposition", `attachment; filename*=UTF-8''${encodeURIComponent(obj.customMetadata.filename)}`);
+  }
+  return headers;
+}
+
+export function createR2Storage(bucket, { prefix = "" } = {}) {
+  const keyOf = (id) => `${prefix}${id}`;
+
+  return {
+    name: "r2",
+
+    async resolve(id) {
+      const obj = await bucket.head(keyOf(id));
+      return obj ? { backend: "r2", key: obj.key } : null;
+    },
+
+    async stream(id, { range, ifRange } = {}) {
+      const key = keyOf(id);
+      if (!range) {
+        const obj = await bucket.get(key);
+        if (!obj) return new Response("Not found", { status: 404 });
+        const headers = objectHeaders(obj);
+        headers.set("Content-Length", String(obj.size));
+        return new Response(obj.body, { headers });
+      }
+
+      // Work the range out against the object's size before reading it.
+      const head = await bucket.head(key);
+      if (!head) return new Response("Not found", { status: 404 });
+      const meta = metaOf(head);
+      const parsed = ifRangeMatches(ifRange, meta) ? parseRange(range, head.size) : null;
+
+      if (parsed === "unsatisfiable") {
+        return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${head.size}` } });
+      }
+
+      const length = parsed ? parsed.end - parsed.start + 1 : 0;
+      const obj = await bucket.get(key, parsed ? { range: { offset: parsed.start, length } } : {});
+      if (!obj) return new Response("Not found", { status: 404 });
+      const headers = objectHeaders(obj);
+      if (!parsed) {
+        headers.set("Content-Length", String(obj.size));
+        return new Response(obj.body, { headers });
+      }
+      headers.set("Content-Range", contentRange(parsed, obj.size));
+      headers.set("Content-Length", String(length));
+      return new Response(obj.body, { status: 206, headers });
+    },
+
+    async head(id) {
+      const obj = await bucket.head(keyOf(id));
+      return obj ? metaOf(obj) : null;
+    },
+
+    async etag(id) {
+      return (await bucket.head(keyOf(id)))?.httpEtag || null;
+    },
+
+    async list(listPrefix = "") {
+      const files = [];
+      let cursor;
+      do {
+        const page = await bucket.list({
+          prefix: keyOf(listPrefix),
+          cursor,
+          include: ["httpMetadata", "customMetadata"],
+        });
+        for (const obj of page.objects) files.push({ id: obj.key.slice(prefix.length), ...metaOf(obj) });
+        cursor = page.truncated ? page.cursor : undefined;
+      } while (cursor);
+      return files;
+    },
+
+    async sibling(id, name) {
+      const key = keyOf(id);
+      const siblingKey = key.slice(0, key.lastIndexOf("/") + 1) + name;
+      if (!siblingKey.startsWith(prefix)) return null;
+      const obj = await bucket.head(siblingKey);
+      return obj ? siblingKey.slice(prefix.length) : null;
+    },
+  };
+}
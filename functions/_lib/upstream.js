@@ -0,0 +1,111 @@
+// Resilient fetches to Apps Script and Drive: per-attempt timeouts, bounded
+// retries with full-jitter backoff, and errors that map onto our JSON shape.
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const BASE_DELAY_MS = 300;
+const MAX_DELAY_MS = 3000;
+
+export class UpstreamError extends Error {
+  constructor(message, { status = 502, code = "upstream_error", retryable = true, source = null } = {}) {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    // Which service failed: "drive", "apps-script", or null when unknown.
+    this.source = source;
+  }
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function backoffMs(attempt) {
+  const cap = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.random() * cap;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Retry options taken from the environment: UPSTREAM_RETRY_DELAY_MS swaps the
+ * jittered backoff for a fixed wait (tests set it to 0).
+ */
+export function retryOptions(env) {
+  const raw = env?.UPSTREAM_RETRY_DELAY_MS;
+  const ms = Number(raw);
+  return raw !== undefined && raw !== "" && Number.isFinite(ms) && ms >= 0 ? { retryDelayMs: ms } : {};
+}
+
+/**
+ * fetch() with a timeout on each attempt (until response headers arrive) and
+ * retries for network errors, 429 and 5xx. The last upstream response is
+ * returned as-is once retries run out; only network failures/timeouts throw.
+ * `source` ("drive", "apps-script") is recorded on those errors so messages
+ * can name the service. `retryDelayMs` replaces the backoff between attempts.
+ */
+export async function fetchWithRetry(url, init = {}, opts = {}) {
+  return await withRetries(url, init, opts, (res) => res);
+}
+
+/**
+ * Fetches and parses JSON, turning HTTP errors and non-JSON bodies (Apps
+ * Script error pages) into UpstreamErrors instead of passing them through.
+ * The timeout covers reading the body too.
+ */
+export async function fetchUpstreamJson(url, init = {}, opts = {}) {
+  const { source = null } = opts;
+  return await withRetries(url, init, opts, async (res) => {
+    if (!res.ok) {
+      try { await res.body?.cancel(); } catch {}
+      throw new UpstreamError(`Upstream returned ${res.status}`, {
+        status: 502,
+        code: "upstream_status",
+        retryable: isRetryableStatus(res.status),
+        source,
+      });
+    }
+
+    const text = await res.text();
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new UpstreamError("Upstream returned a non-JSON response", { code: "upstream_invalid_json", source });
+    }
+  });
+}
+
+// The retry loop behind both helpers. `read(res)` runs on the final response
+// while the attempt's timer is still armed.
+async function withRetries(
+  url,
+  init,
+  { timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, source = null, retryDelayMs = null },
+  read
+) {
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const res = await fetch(url, { ...init, signal: controller.signal });
+      if (!isRetryableStatus(res.status) || attempt >= retries) return await read(res);
+      try { await res.body?.cancel(); } catch {}
+    } catch (err) {
+      if (err instanceof UpstreamError) throw err;
+      if (attempt >= retries) {
+        const timedOut = controller.signal.aborted;
+        throw new UpstreamError(
+          timedOut ? `Upstream timed out after ${timeoutMs}ms` : `Upstream request failed: ${err?.message || err}`,
+          { status: timedOut ? 504 : 502, code: timedOut ? "upstream_timeout" : "upstream_unreachable", source }
+        );
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+
+    await sleep(retryDelayMs ?? backoffMs(attempt));
+  }
+}
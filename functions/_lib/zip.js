@@ -0,0 +1,149 @@
+// Minimal streaming ZIP writer (stored entries, no compression).
+//
+// Game assets are already compressed (PNG) or small JSON, so deflate buys
+// little and would cost CPU time per request. Entries are written as soon as
+// they're added, so the response starts streaming before the last file is
+// fetched; addStream() also copies a file through chunk by chunk instead of
+// holding it in memory. No ZIP64: archives must stay under 4 GiB / 65535
+// entries.
+
+const encoder = new TextEncoder();
+
+let crcTable = null;
+
+// Pass the previous result as `crc` to continue a checksum across chunks.
+export function crc32(bytes, crc = 0) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let c = (crc ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < bytes.length; i++) c = crcTable[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const d = date instanceof Date && !isNaN(date) ? date : new Date();
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+  const day = ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, day };
+}
+
+function localHeader(nameBytes, flags, time, day, crc, size) {
+  const header = new Uint8Array(30 + nameBytes.length);
+  const v = new DataView(header.buffer);
+  v.setUint32(0, 0x04034b50, true);
+  v.setUint16(4, 20, true); // version needed
+  v.setUint16(6, flags, true);
+  v.setUint16(8, 0, true); // stored
+  v.setUint16(10, time, true);
+  v.setUint16(12, day, true);
+  v.setUint32(14, crc, true);
+  v.setUint32(18, size, true);
+  v.setUint32(22, size, true);
+  v.setUint16(26, nameBytes.length, true);
+  v.setUint16(28, 0, true);
+  header.set(nameBytes, 30);
+  return header;
+}
+
+export class ZipWriter {
+  constructor() {
+    const { readable, writable } = new TransformStream();
+    this.readable = readable;
+    this.writer = writable.getWriter();
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  async write(bytes) {
+    await this.writer.write(bytes);
+    this.offset += bytes.byteLength;
+  }
+
+  async addFile(name, data, modified = new Date()) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(bytes);
+    const { time, day } = dosDateTime(modified);
+    const flags = 0x0800; // UTF-8 names
+
+    this.entries.push({ nameBytes, flags, crc, size: bytes.length, offset: this.offset, time, day });
+    await this.write(localHeader(nameBytes, flags, time, day, crc, bytes.length));
+    await this.write(bytes);
+  }
+
+  /**
+   * Copies a ReadableStream of bytes in as `name`. The checksum and size
+   * follow the data in a descriptor, since they aren't known up front. If
+   * the stream fails part-way the archive can't be completed; abort it.
+   */
+  async addStream(name, stream, modified = new Date()) {
+    const nameBytes = encoder.encode(name);
+    const { time, day } = dosDateTime(modified);
+    const flags = 0x0808; // UTF-8 names, sizes in a data descriptor
+    const offset = this.offset;
+    await this.write(localHeader(nameBytes, flags, time, day, 0, 0));
+
+    let crc = 0;
+    let size = 0;
+    const reader = stream.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = value instanceof Uint8Array ? value : new Uint8Array(value);
+      crc = crc32(chunk, crc);
+      size += chunk.byteLength;
+      await this.write(chunk);
+    }
+
+    const descriptor = new Uint8Array(16);
+    const v = new DataView(descriptor.buffer);
+    v.setUint32(0, 0x08074b50, true);
+    v.setUint32(4, crc, true);
+    v.setUint32(8, size, true);
+    v.setUint32(12, size, true);
+    await this.write(descriptor);
+    this.entries.push({ nameBytes, flags, crc, size, offset, time, day });
+  }
+
+  async finish() {
+    const start = this.offset;
+    for (const e of this.entries) {
+      const rec = new Uint8Array(46 + e.nameBytes.length);
+      const v = new DataView(rec.buffer);
+      v.setUint32(0, 0x02014b50, true);
+      v.setUint16(4, 20, true); // version made by
+      v.setUint16(6, 20, true); // version needed
+      v.setUint16(8, e.flags, true);
+      v.setUint16(10, 0, true);
+      v.setUint16(12, e.time, true);
+      v.setUint16(14, e.day, true);
+      v.setUint32(16, e.crc, true);
+      v.setUint32(20, e.size, true);
+      v.setUint32(24, e.size, true);
+      v.setUint16(28, e.nameBytes.length, true);
+      v.setUint32(42, e.offset, true);
+      rec.set(e.nameBytes, 46);
+      await this.write(rec);
+    }
+
+    const end = new Uint8Array(22);
+    const v = new DataView(end.buffer);
+    v.setUint32(0, 0x06054b50, true);
+    v.setUint16(8, this.entries.length, true);
+    v.setUint16(10, this.entries.length, true);
+    v.setUint32(12, this.offset - start, true);
+    v.setUint32(16, start, true);
+    await this.write(end);
+    await this.writer.close();
+  }
+
+  async abort(reason) {
+    try { await this.writer.abort(reason); } catch {}
+  }
+}
@@ -0,0 +1,11 @@
+import { errorResponse } from "../_lib/http.js";
+
+// Anything an /api handler throws (Apps Script or Drive down, timeouts) comes
+// back as the standard JSON error instead of Cloudflare's HTML error page.
+export async function onRequest(context) {
+  try {
+    return await context.next();
+  } catch (err) {
+    return errorResponse(err);
+  }
+}
@@ -0,0 +1,31 @@
+import { CATALOG_TYPES, refreshCatalog } from "../../_lib/catalog.js";
+import { jsonResponse, jsonError } from "../../_lib/http.js";
+
+// Rebuilds catalog snapshots on demand. Pages Functions have no cron triggers,
+// so a scheduled Worker (or any cron job) POSTs here with the refresh token.
+export async function onRequestPost(context) {
+  const { env, request } = context;
+  const token = env.CATALOG_REFRESH_TOKEN;
+  const auth = request.headers.get("Authorization") || "";
+  if (!token || auth !== `Bearer ${token}`) {
+    return jsonError(401, "unauthorized", "Missing or invalid refresh token.");
+  }
+
+  const requested = new URL(request.url).searchParams.get("type");
+  if (requested && !CATALOG_TYPES.includes(requested)) {
+    return jsonError(400, "unknown_type", `Unknown catalog type "${requested}".`);
+  }
+
+  const results = {};
+  for (const type of requested ? [requested] : CATALOG_TYPES) {
+    try {
+      const snapshot = await refreshCatalog(env, type);
+      results[type] = { ok: true, builtAt: snapshot.builtAt, games: snapshot.games.length };
+    } catch (err) {
+      results[type] = { ok: false, error: String(err?.message || err) };
+    }
+  }
+
+  const ok = Object.values(results).every((r) => r.ok);
+  return jsonResponse({ ok, results }, { status: ok ? 200 : 502, maxAge: 0 });
+}
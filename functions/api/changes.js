@@ -0,0 +1,85 @@
+import { CATALOG_TYPES, getSnapshot } from "../_lib/catalog.js";
+import { CHANGE_KINDS, changeLink, loadChanges } from "../_lib/changes.js";
+import { jsonResponse, jsonError } from "../_lib/http.js";
+
+const MAX_LIMIT = 200;
+
+// Added/removed/renamed catalog files, newest first:
+// /api/changes?type=models|maps&kind=added,renamed&since=<ISO date>&limit=&format=atom
+export async function onRequest(context) {
+  const url = new URL(context.request.url);
+  const type = url.searchParams.get("type") || "";
+  const kinds = (url.searchParams.get("kind") || "").split(",").map((k) => k.trim()).filter(Boolean);
+  const since = Date.parse(url.searchParams.get("since") || "");
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(url.searchParams.get("limit")) || 50));
+  const format = url.searchParams.get("format") || "json";
+
+  if (type && !CATALOG_TYPES.includes(type)) {
+    return jsonError(400, "unknown_type", `Unknown catalog type "${type}".`);
+  }
+  const unknownKind = kinds.find((k) => !CHANGE_KINDS.includes(k));
+  if (unknownKind) return jsonError(400, "unknown_kind", `Unknown change kind "${unknownKind}".`);
+  if (format !== "json" && format !== "atom") {
+    return jsonError(400, "unknown_format", `Unknown format "${format}".`);
+  }
+
+  // The feed is written by snapshot rebuilds, so make sure stale snapshots
+  // get one even when nobody is browsing the galleries.
+  const types = type ? [type] : CATALOG_TYPES;
+  await Promise.all(types.map((t) => getSnapshot(context, t)));
+
+  const changes = (await loadChanges(context.env, types))
+    .filter((c) => !kinds.length || kinds.includes(c.kind))
+    .filter((c) => !Number.isFinite(since) || Date.parse(c.at) > since)
+    .slice(0, limit)
+    .map((c) => ({ ...c, url: changeLink(c) }));
+
+  if (format === "atom") return atomResponse(url, changes);
+  return jsonResponse({ type: type || "all", updatedAt: changes[0]?.at || null, changes }, { maxAge: 300 });
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+function changeTitle(c) {
+  const where = [c.gameLabel, c.folderLabel].filter(Boolean).join(" / ");
+  const what = c.kind === "renamed" ? `${c.previousName} → ${c.name}` : c.name;
+  const verb = { added: "Added", removed: "Removed", renamed: "Renamed" }[c.kind];
+  return `${verb}: ${what}${where ? ` (${where})` : ""}`;
+}
+
+function atomResponse(url, changes) {
+  const origin = url.origin;
+  const updated = changes[0]?.at || new Date(0).toISOString();
+  const entries = changes.map((c) => {
+    const day = c.at.slice(0, 10);
+    return `  <entry>
+    <id>tag:${url.hostname},${day}:${c.type}/${c.kind}/${escapeXml(c.id)}/${escapeXml(c.at)}</id>
+    <title>${escapeXml(changeTitle(c))}</title>
+    <updated>${escapeXml(c.at)}</updated>
+    <link rel="alternate" href="${escapeXml(origin + c.url)}"/>
+    <category term="${c.type}"/>
+    <category term="${c.kind}"/>
+  </entry>`;
+  });
+
+  const xml = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(`${origin}/api/changes`)}</id>
+  <title>Hive Resources: catalog changes</title>
+  <updated>${escapeXml(updated)}</updated>
+  <author><name>Sparkskye</name></author>
+  <link rel="self" href="${escapeXml(url.href)}"/>
+  <link rel="alternate" href="${escapeXml(`${origin}/hive-resources/`)}"/>
+${entries.join("\n")}
+</feed>
+`;
+  return new Response(xml, {
+    headers: {
+      "Content-Type": "application/atom+xml; charset=utf-8",
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "public, max-age=300",
+    },
+  });
+}
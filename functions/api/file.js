@@ -1,12 +1,21 @@
+import { checkFileAccess } from "../_lib/access.js";
+import { cacheAvailable, matchCachedFile, resolveCachedFile } from "../_lib/file-cache.js";
+import { isNotModified, notModifiedResponse } from "../_lib/conditional.js";
+import { parseRange, ifRangeMatches, contentRange } from "../_lib/range.js";
+import { getStorage } from "../_lib/storage/index.js";
+import { attachmentDisposition, contentTypeFromName, sanitizeFilename } from "../_lib/files.js";
+import { jsonError, staleHeaders } from "../_lib/http.js";
+
 export async function onRequest(context) {
   const url = new URL(context.request.url);
   const id = url.searchParams.get("id");
   const requestedName = url.searchParams.get("name") || url.searchParams.get("filename") || "";
   const ext = (url.searchParams.get("ext") || "").replace(/^\./, "");
 
-  if (!id) {
-    return new Response("Missing id", { status: 400 });
-  }
+  if (!id) return jsonError(400, "missing_id", "Missing id");
+
+  const denied = await checkFileAccess(context, url, id);
+  if (denied) return denied;
 
   let safeName = sanitizeFilename(requestedName);
   // If the caller provided a basename plus ext, enforce it so Safari/iOS doesn't
@@ -17,40 +26,138 @@ export async function onRequest(context) {
     if (safeName && !lower.endsWith(want)) safeName = `${safeName}${want}`;
     if (!safeName) safeName = `download${want}`;
   }
-  const driveRes = await fetchDriveFile(id);
-
-  if (!driveRes || !driveRes.ok) {
-    const status = driveRes?.status || 502;
-    let body = "Failed to fetch file";
-    try {
-      body = await driveRes.text();
-    } catch {}
-    return new Response(body, { status });
+
+  // At the edge, serve from the resolved-file cache; elsewhere stream from storage.
+  // A Range request is only answered from a copy already at the edge: on a
+  // miss the range is streamed from storage rather than downloading the
+  // whole file to cache it first.
+  if (cacheAvailable()) {
+    const ranged = context.request.headers.has("Range");
+    const file = ranged ? await matchCachedFile(context, id) : await resolveCachedFile(context, id);
+    if (file?.errorResponse !== undefined) return await upstreamError(file.errorResponse);
+    if (file) return await respondFromCache(context.request, file, fileHeaders(safeName, file.headers));
+  }
+
+  return await streamFromStorage(context, id, safeName);
+}
+
+async function respondFromCache(request, file, headers) {
+  if (file.stale) {
+    // Don't let browsers hold on to a copy we only served because storage failed.
+    headers.set("Cache-Control", "public, max-age=60");
+    for (const [k, v] of Object.entries(staleHeaders(true))) headers.set(k, v);
+  }
+  // The edge copy is local, so slicing a range out of it is cheap.
+  if (request.headers.has("Range")) {
+    return respondFromBody(request, await new Response(file.body).arrayBuffer(), headers);
+  }
+
+  if (isNotModified(request, validatorsFrom(headers))) return notModifiedResponse(headers);
+  const length = file.headers.get("Content-Length");
+  if (length) headers.set("Content-Length", length);
+  return new Response(file.body, { headers });
+}
+
+async function streamFromStorage(context, id, safeName) {
+  const { request, env } = context;
+  // Forward Range/If-Range so the backend can answer partial requests itself.
+  const rangeHeader = request.headers.get("Range") || "";
+  const ifRange = request.headers.get("If-Range") || "";
+  const upstream = await getStorage(env).stream(id, { range: rangeHeader, ifRange });
+
+  if (!upstream || !upstream.ok) return await upstreamError(upstream);
+
+  const headers = fileHeaders(safeName, upstream.headers);
+  if (isNotModified(request, validatorsFrom(headers))) return notModifiedResponse(headers);
+
+  // The backend honored the range: pass the partial response through.
+  if (upstream.status === 206) {
+    for (const h of ["Content-Range", "Content-Length"]) {
+      const v = upstream.headers.get(h);
+      if (v) headers.set(h, v);
+    }
+    return new Response(upstream.body, { status: 206, headers });
+  }
+
+  // The backend ignored the range (Drive often does): slice the full body ourselves.
+  if (rangeHeader) return respondFromBody(request, await upstream.arrayBuffer(), headers);
+
+  const length = upstream.headers.get("Content-Length");
+  if (length) headers.set("Content-Length", length);
+  return new Response(upstream.body, { headers });
+}
+
+// Drive's error bodies are HTML pages; answer with our JSON error instead.
+async function upstreamError(upstream) {
+  const status = upstream?.status || 502;
+  try { await upstream?.body?.cancel(); } catch {}
+
+  if (status === 416) {
+    const upstreamRange = upstream?.headers?.get("Content-Range");
+    return jsonError(416, "range_not_satisfiable", "Requested range not satisfiable.", {
+      headers: upstreamRange ? { "Content-Range": upstreamRange } : {},
+    });
+  }
+  if (status === 404) return jsonError(404, "file_not_found", "This file is no longer available.");
+  if (status === 403) return jsonError(403, "storage_forbidden", "Storage refused access to this file.");
+  return jsonError(status >= 500 ? 502 : status, "upstream_error", "Failed to fetch the file from storage.");
+}
+
+function validatorsFrom(headers) {
+  return { etag: headers.get("ETag"), lastModified: headers.get("Last-Modified") };
+}
+
+// Answers conditional and range requests from a fully buffered body.
+function respondFromBody(request, body, headers) {
+  const validators = validatorsFrom(headers);
+  if (isNotModified(request, validators)) return notModifiedResponse(headers);
+
+  const size = body.byteLength;
+  const rangeHeader = request.headers.get("Range") || "";
+  // A stale If-Range means the client's partial copy is outdated: send everything.
+  const range = rangeHeader && ifRangeMatches(request.headers.get("If-Range"), validators)
+    ? parseRange(rangeHeader, size)
+    : null;
+
+  if (range === "unsatisfiable") {
+    headers.set("Content-Range", `bytes */${size}`);
+    return new Response(null, { status: 416, headers });
+  }
+  if (!range) {
+    headers.set("Content-Length", String(size));
+    return new Response(body, { headers });
   }
 
+  headers.set("Content-Range", contentRange(range, size));
+  headers.set("Content-Length", String(range.end - range.start + 1));
+  return new Response(body.slice(range.start, range.end + 1), { status: 206, headers });
+}
+
+function fileHeaders(safeName, upstream) {
   const headers = new Headers();
   // Use Drive's content-type unless we can confidently infer it from the requested filename.
   const inferred = contentTypeFromName(safeName);
   headers.set(
     "Content-Type",
-    inferred || driveRes.headers.get("Content-Type") || "application/octet-stream"
+    inferred || upstream.get("Content-Type") || "application/octet-stream"
   );
   headers.set("Access-Control-Allow-Origin", "*");
   headers.set("Cache-Control", "public, max-age=86400");
+  headers.set("Accept-Ranges", "bytes");
+
+  const etag = upstream.get("ETag");
+  if (etag) headers.set("ETag", etag);
+  const lastModified = upstream.get("Last-Modified");
+  if (lastModified) headers.set("Last-Modified", lastModified);
 
   // Force a consistent filename for downloads.
   if (safeName) {
-    // iOS/Safari is picky — include both filename and filename* to avoid odd ".bin" naming.
-    const enc = encodeURIComponent(safeName);
-    headers.set(
-      "Content-Disposition",
-      `attachment; filename=\"${safeName}\"; filename*=UTF-8''${enc}`
-    );
+    headers.set("Content-Disposition", attachmentDisposition(safeName));
   } else {
     // Best-effort: preserve Drive's filename when the caller didn't provide one.
     const driveDisposition =
-      driveRes.headers.get("Content-Disposition") ||
-      driveRes.headers.get("content-disposition") ||
+      upstream.get("Content-Disposition") ||
+      upstream.get("content-disposition") ||
       "";
     const m =
       /filename\*=UTF-8''([^;]+)/i.exec(driveDisposition) ||
@@ -60,11 +167,7 @@ export async function onRequest(context) {
         const decoded = decodeURIComponent(String(m[1]).replace(/\+/g, "%20"));
         const inferred = sanitizeFilename(decoded);
         if (inferred) {
-          const enc = encodeURIComponent(inferred);
-          headers.set(
-            "Content-Disposition",
-            `attachment; filename=\"${inferred}\"; filename*=UTF-8''${enc}`
-          );
+          headers.set("Content-Disposition", attachmentDisposition(inferred));
         }
       } catch {
         // ignore
@@ -72,106 +175,5 @@ export async function onRequest(context) {
     }
   }
 
-  return new Response(driveRes.body, { headers });
-}
-
-function contentTypeFromName(name) {
-  const n = String(name || "").toLowerCase();
-  if (!n) return null;
-  if (n.endsWith(".gltf")) return "model/gltf+json; charset=utf-8";
-  if (n.endsWith(".glb")) return "model/gltf-binary";
-  if (n.endsWith(".png")) return "image/png";
-  if (n.endsWith(".jpg") || n.endsWith(".jpeg")) return "image/jpeg";
-  if (n.endsWith(".webp")) return "image/webp";
-  if (n.endsWith(".json")) return "application/json; charset=utf-8";
-  return null;
-}
-
-function sanitizeFilename(name) {
-  const s = String(name || "").trim();
-  if (!s) return "";
-  // Strip path separators + quotes + control chars.
-  return s
-    .replace(/[\\/]/g, "-")
-    .replace(/[\"\n\r\t\0]/g, "")
-    .slice(0, 180);
-}
-
-function cookieHeaderFromSetCookie(setCookie) {
-  if (!setCookie) return "";
-  // Workers may collapse multiple Set-Cookie headers into one string.
-  // This is a best-effort extraction of cookie pairs.
-  return setCookie
-    .split(",")
-    .map((part) => part.trim())
-    .filter((part) => part.includes("="))
-    .map((part) => part.split(";")[0])
-    .join("; ");
-}
-
-async function fetchDriveFile(id) {
-  const base = `https://drive.google.com/uc?export=download&id=${id}`;
-  const first = await fetch(base, { redirect: "follow" });
-  const ct1 = (first.headers.get("Content-Type") || "").toLowerCase();
-
-  // Normal path: we got the file stream.
-  if (!ct1.includes("text/html")) return first;
-
-  // Large/flagged files return an interstitial HTML page that requires a confirm token.
-  const html = await first.text();
-
-  let confirm = null;
-  const mConfirm = html.match(/confirm=([0-9A-Za-z_]+)&/);
-  if (mConfirm) confirm = mConfirm[1];
-
-  const setCookie = first.headers.get("set-cookie") || "";
-  const mCookie = setCookie.match(/download_warning[^=]*=([^;]+)/);
-  if (mCookie) confirm = confirm || mCookie[1];
-
-  // Sometimes the confirm URL is present as a form action.
-  let actionUrl = null;
-  const mAction = html.match(/action=\"([^\"]+)\"/);
-  if (mAction) {
-    const raw = mAction[1].replace(/&amp;/g, "&");
-    if (raw.includes("uc?export=download")) {
-      actionUrl = raw.startsWith("http") ? raw : `https://drive.google.com${raw}`;
-    }
-  }
-
-  const cookie = cookieHeaderFromSetCookie(setCookie);
-  const headers = cookie ? { cookie } : undefined;
-
-  // Build second request URL.
-  let url2 = actionUrl || base;
-  try {
-    const u = new URL(url2);
-    if (confirm && !u.searchParams.get("confirm")) u.searchParams.set("confirm", confirm);
-    url2 = u.href;
-  } catch {
-    if (confirm) url2 = `${base}&confirm=${confirm}`;
-  }
-
-  let second = await fetch(url2, { redirect: "follow", headers });
-  let ct2 = (second.headers.get("Content-Type") || "").toLowerCase();
-
-  // Still HTML? Try extracting a direct download link (drive.usercontent).
-  if (ct2.includes("text/html")) {
-    const html2 = await second.text();
-    const mHref = html2.match(
-      /href=\"(https:\/\/drive\.usercontent\.google\.com\/download[^\"]+)\"/
-    );
-    if (mHref) {
-      const url3 = mHref[1].replace(/&amp;/g, "&");
-      second = await fetch(url3, { redirect: "follow", headers });
-      ct2 = (second.headers.get("Content-Type") || "").toLowerCase();
-      if (!ct2.includes("text/html")) return second;
-    }
-
-    return new Response(
-      "Drive returned an interstitial page that could not be bypassed.",
-      { status: 502 }
-    );
-  }
-
-  return second;
+  return headers;
 }
@@ -0,0 +1,24 @@
+import { CATALOG_TYPES, getSnapshot, servedStale, flattenGameItems } from "../_lib/catalog.js";
+import { jsonResponse, jsonError, staleHeaders } from "../_lib/http.js";
+
+// Gamemodes in a catalog with counts: /api/games?type=models|maps
+export async function onRequest(context) {
+  const type = new URL(context.request.url).searchParams.get("type") || "models";
+  if (!CATALOG_TYPES.includes(type)) {
+    return jsonError(400, "unknown_type", `Unknown catalog type "${type}".`);
+  }
+
+  const snapshot = await getSnapshot(context, type);
+  const games = snapshot.games.map((game) => ({
+    key: game.key,
+    label: game.label,
+    itemCount: flattenGameItems(type, game).length,
+    folderCount: game.groups.filter((g) => g.key !== "all").length,
+    updatedAt: game.updatedAt,
+  }));
+
+  return jsonResponse({ type, builtAt: snapshot.builtAt, games }, {
+    maxAge: 300,
+    headers: staleHeaders(servedStale(snapshot)),
+  });
+}
@@ -1,31 +1,19 @@
+import { getSnapshot, servedStale, findGame, gameResponse } from "../_lib/catalog.js";
+import { jsonResponse, jsonError, staleHeaders } from "../_lib/http.js";
+
 export async function onRequest(context) {
   const url = new URL(context.request.url);
+  const snapshot = await getSnapshot(context, "maps");
 
-  // ✅ paste your MAPS Apps Script webapp URL here
-  const MAPS_SCRIPT = "https://script.google.com/macros/s/AKfycbwCdZbhWELRFgg7McaRS33p09ocnw7Ooo56f4RCtej6Vqw6HKqPAmXDhcb49oe5wusEVA/exec";
-
-  const upstream = new URL(MAPS_SCRIPT);
-  for (const [k, v] of url.searchParams.entries()) upstream.searchParams.set(k, v);
-
-  const res = await fetch(upstream.toString(), {
-    headers: { "User-Agent": "sparkskye-pages-proxy" },
-    cf: { cacheTtl: 60, cacheEverything: true },
-  });
+  // ?list=1 lists the gamemodes in the MAPS drive root.
+  if (url.searchParams.get("list")) {
+    const games = snapshot.games.map((g) => ({ key: g.key, label: g.label }));
+    return jsonResponse({ games }, { headers: staleHeaders(servedStale(snapshot)) });
+  }
 
-  const body = await res.text();
-
-  return new Response(body, {
-    status: res.status,
-    headers: corsJsonHeaders_(),
-  });
-}
+  const game = url.searchParams.get("game") || "";
+  const found = findGame(snapshot, game);
+  if (!found) return jsonError(404, "unknown_game", `No maps found for "${game}".`);
 
-function corsJsonHeaders_() {
-  return {
-    "Content-Type": "application/json; charset=utf-8",
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
-    "Cache-Control": "public, max-age=60",
-  };
+  return jsonResponse(gameResponse(found), { headers: staleHeaders(servedStale(snapshot)) });
 }
@@ -0,0 +1,40 @@
+import { checkFileAccess } from "../_lib/access.js";
+import { isNotModified, notModifiedResponse } from "../_lib/conditional.js";
+import { loadFile } from "../_lib/file-cache.js";
+import { parseGltfContainer } from "../_lib/gltf.js";
+import { gltfResourceLoader } from "../_lib/gltf-resources.js";
+import { gltfStats } from "../_lib/gltf-stats.js";
+import { corsJsonHeaders, jsonError } from "../_lib/http.js";
+
+// glTF/GLB statistics for the model modal: counts, bounds, textures,
+// animations and skins, so rigged or heavy models are obvious up front.
+export async function onRequest(context) {
+  const url = new URL(context.request.url);
+  const id = url.searchParams.get("id");
+  if (!id) return jsonError(400, "missing_id", "Missing id");
+
+  const denied = await checkFileAccess(context, url, id);
+  if (denied) return denied;
+
+  const file = await loadFile(context, id);
+  if (file.errorResponse !== undefined) {
+    return jsonError(file.errorResponse?.status || 502, "upstream_error", "Failed to fetch the model from storage.");
+  }
+
+  // Stats only change with the file, so its ETag covers them too.
+  const headers = new Headers(corsJsonHeaders(3600));
+  const etag = file.headers.get("ETag");
+  if (etag) headers.set("ETag", etag);
+  if (isNotModified(context.request, { etag })) return notModifiedResponse(headers);
+
+  let container;
+  try {
+    container = parseGltfContainer(file.body);
+  } catch {
+    return jsonError(422, "not_gltf", "This file is not a glTF or GLB model.");
+  }
+
+  const loadUri = gltfResourceLoader(context, id);
+  const stats = await gltfStats(container, { fileBytes: new Uint8Array(file.body), loadUri });
+  return new Response(JSON.stringify({ id, ...stats }), { headers });
+}
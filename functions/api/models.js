@@ -1,20 +1,15 @@
-export async function onRequest(context) {
-  const game = context.request.url
-    ? new URL(context.request.url).searchParams.get("game") || ""
-    : "";
+import { getSnapshot, servedStale, findGame, gameResponse } from "../_lib/catalog.js";
+import { jsonResponse, jsonError, staleHeaders } from "../_lib/http.js";
 
-  const upstream =
-    "https://script.google.com/macros/s/AKfycbxwo50cJWxjW95aoG1QeoxBRlUAIVrYPc3VHuaDUw2Vkst-2k05fltz8s__nIku7JL7lQ/exec" +
-    (game ? `?game=${encodeURIComponent(game)}` : "");
+export async function onRequest(context) {
+  const game = new URL(context.request.url).searchParams.get("game") || "";
 
-  const res = await fetch(upstream);
-  const text = await res.text();
+  const snapshot = await getSnapshot(context, "models");
+  const found = findGame(snapshot, game);
+  if (!found) return jsonError(404, "unknown_game", `No models found for "${game}".`);
 
-  return new Response(text, {
-    headers: {
-      "Content-Type": "application/json",
-      "Access-Control-Allow-Origin": "*",
-      "Cache-Control": "public, max-age=300"
-    }
+  return jsonResponse(gameResponse(found), {
+    maxAge: 300,
+    headers: staleHeaders(servedStale(snapshot)),
   });
 }
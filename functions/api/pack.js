@@ -0,0 +1,65 @@
+import { checkFileAccess } from "../_lib/access.js";
+import { contentEtag, isNotModified, notModifiedResponse } from "../_lib/conditional.js";
+import { loadFile } from "../_lib/file-cache.js";
+import { attachmentDisposition, sanitizeFilename } from "../_lib/files.js";
+import { parseGltfContainer, packGlb } from "../_lib/gltf.js";
+import { gltfResourceLoader } from "../_lib/gltf-resources.js";
+import { jsonError } from "../_lib/http.js";
+
+// Packs a catalog glTF (plus any external buffers/images it references) into
+// one self-contained GLB, so downloads don't lose their sidecar .bin files.
+export async function onRequest(context) {
+  const url = new URL(context.request.url);
+  const id = url.searchParams.get("id");
+  if (!id) return jsonError(400, "missing_id", "Missing id");
+
+  const denied = await checkFileAccess(context, url, id);
+  if (denied) return denied;
+
+  const file = await loadFile(context, id);
+  if (file.errorResponse !== undefined) {
+    return jsonError(file.errorResponse?.status || 502, "upstream_error", "Failed to fetch the model from Drive.");
+  }
+
+  let container;
+  try {
+    container = parseGltfContainer(file.body);
+  } catch {
+    return jsonError(422, "not_gltf", "This file is not a glTF or GLB model.");
+  }
+
+  const loadResource = gltfResourceLoader(context, id);
+  const unresolved = [];
+  const loadUri = async (uri) => {
+    try {
+      return await loadResource(uri);
+    } catch (err) {
+      unresolved.push(uri);
+      throw err;
+    }
+  };
+
+  let glb;
+  try {
+    glb = await packGlb(container, loadUri);
+  } catch (err) {
+    if (unresolved.length) {
+      return jsonError(422, "unresolved_resource", `Could not load referenced file "${unresolved[0]}".`);
+    }
+    console.error("pack failed", err);
+    return jsonError(422, "invalid_gltf", "This model could not be packed into a GLB.");
+  }
+
+  const baseName = sanitizeFilename(url.searchParams.get("name") || "").replace(/\.(gltf|glb)$/i, "");
+  const headers = new Headers({
+    "Content-Type": "model/gltf-binary",
+    "Content-Disposition": attachmentDisposition(`${baseName || "model"}.glb`),
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": "public, max-age=86400",
+    ETag: await contentEtag(glb),
+  });
+  if (isNotModified(context.request, { etag: headers.get("ETag") })) return notModifiedResponse(headers);
+
+  headers.set("Content-Length", String(glb.byteLength));
+  return new Response(glb, { headers });
+}
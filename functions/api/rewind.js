@@ -0,0 +1,21 @@
+import { CATALOG_TYPES, getSnapshot, servedStale } from "../_lib/catalog.js";
+import { jsonResponse, jsonError, staleHeaders } from "../_lib/http.js";
+import { REWIND_EVENTS } from "../_lib/rewind-events.js";
+import { buildRewind } from "../_lib/rewind.js";
+
+// Seasonal events with their assets: /api/rewind[?event=<id>]
+export async function onRequest(context) {
+  const eventId = new URL(context.request.url).searchParams.get("event") || "";
+
+  const snapshots = await Promise.all(CATALOG_TYPES.map((type) => getSnapshot(context, type)));
+  const stale = snapshots.some(servedStale);
+  const events = buildRewind(snapshots, REWIND_EVENTS);
+  const options = { maxAge: 300, headers: staleHeaders(stale) };
+
+  if (eventId) {
+    const event = events.find((e) => e.id === eventId);
+    if (!event) return jsonError(404, "unknown_event", `No Rewind event "${eventId}".`);
+    return jsonResponse({ event }, options);
+  }
+  return jsonResponse({ events }, options);
+}
@@ -0,0 +1,26 @@
+import { CATALOG_TYPES, loadSearchIndex, slugify } from "../_lib/catalog.js";
+import { jsonResponse, jsonError } from "../_lib/http.js";
+import { searchIndexes } from "../_lib/search.js";
+
+const MAX_LIMIT = 200;
+
+// Ranked search across every game: /api/search?q=&type=models|maps&game=&folder=
+export async function onRequest(context) {
+  const url = new URL(context.request.url);
+  const q = (url.searchParams.get("q") || "").trim();
+  const type = url.searchParams.get("type") || "";
+  const game = slugify(url.searchParams.get("game") || "");
+  const folder = String(url.searchParams.get("folder") || "").toLowerCase();
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(url.searchParams.get("limit")) || 50));
+
+  if (!q) return jsonError(400, "missing_query", "Missing q");
+  if (type && !CATALOG_TYPES.includes(type)) {
+    return jsonError(400, "unknown_type", `Unknown catalog type "${type}".`);
+  }
+
+  const types = type ? [type] : CATALOG_TYPES;
+  const indexes = await Promise.all(types.map((t) => loadSearchIndex(context, t)));
+  const { total, hits } = searchIndexes(indexes, q, { game, folder, limit });
+
+  return jsonResponse({ q, type: type || "all", total, hits });
+}
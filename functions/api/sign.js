@@ -0,0 +1,24 @@
+import { isKnownFileId } from "../_lib/catalog.js";
+import { jsonResponse, jsonError } from "../_lib/http.js";
+import { signFileLink, DEFAULT_LINK_TTL_SECONDS } from "../_lib/signing.js";
+
+// Issues a signed, expiring download link for "COPY LINK".
+export async function onRequest(context) {
+  const { env, request } = context;
+  const id = new URL(request.url).searchParams.get("id");
+  if (!id) return jsonError(400, "missing_id", "Missing id");
+
+  if (!env.LINK_SIGNING_SECRET) {
+    return jsonError(501, "signing_disabled", "Signed links are not configured.");
+  }
+  if (!(await isKnownFileId(context, id))) {
+    return jsonError(404, "unknown_file", "This file isn't part of the Hive Resources catalog.");
+  }
+
+  const ttl = Number(env.LINK_TTL_SECONDS) > 0 ? Number(env.LINK_TTL_SECONDS) : DEFAULT_LINK_TTL_SECONDS;
+  const { exp, sig } = await signFileLink(env.LINK_SIGNING_SECRET, id, ttl);
+  return jsonResponse(
+    { id, exp, sig, expiresAt: new Date(exp * 1000).toISOString() },
+    { maxAge: 0 }
+  );
+}
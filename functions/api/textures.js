@@ -0,0 +1,22 @@
+import { getSnapshot, servedStale, findGame, gameResponse } from "../_lib/catalog.js";
+import { jsonResponse, jsonError, staleHeaders } from "../_lib/http.js";
+
+// Textures, skins and UI sprites: /api/textures?game= or ?list=1
+export async function onRequest(context) {
+  const url = new URL(context.request.url);
+  const snapshot = await getSnapshot(context, "textures");
+
+  if (url.searchParams.get("list")) {
+    const games = snapshot.games.map((g) => ({ key: g.key, label: g.label }));
+    return jsonResponse({ games }, { maxAge: 300, headers: staleHeaders(servedStale(snapshot)) });
+  }
+
+  const game = url.searchParams.get("game") || "";
+  const found = findGame(snapshot, game);
+  if (!found) return jsonError(404, "unknown_game", `No textures found for "${game}".`);
+
+  return jsonResponse(gameResponse(found), {
+    maxAge: 300,
+    headers: staleHeaders(servedStale(snapshot)),
+  });
+}
@@ -0,0 +1,108 @@
+import { checkHotlink } from "../_lib/access.js";
+import { CATALOG_SOURCES, getSnapshot, findGame, flattenGameItems, slugify } from "../_lib/catalog.js";
+import { attachmentDisposition, imageExtensionFromType, sanitizeFilename } from "../_lib/files.js";
+import { jsonError } from "../_lib/http.js";
+import { getStorage } from "../_lib/storage/index.js";
+import { ZipWriter } from "../_lib/zip.js";
+
+// The subrequest budget is sized for the costliest backend, Drive: a file can
+// take three requests (interstitial bypass), each of which may follow a
+// redirect, so up to six subrequests. 150 files is at most 900, inside the
+// paid plan's 1,000 per request; the free plan allows 50, so set
+// ZIP_MAX_ITEMS there (8 fits). Files storage can't deliver, or that run past
+// the budget anyway (e.g. after retries), are listed in MISSING.txt rather
+// than breaking the archive.
+const DEFAULT_MAX_ZIP_ITEMS = 150;
+
+function maxZipItems(env) {
+  const n = Number(env?.ZIP_MAX_ITEMS);
+  return Number.isInteger(n) && n > 0 ? n : DEFAULT_MAX_ZIP_ITEMS;
+}
+
+// Streams a ZIP of every catalog item in a game (optionally one folder/mode).
+export async function onRequest(context) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+  const type = url.searchParams.get("type") || "models";
+  const gameKey = url.searchParams.get("game") || "";
+  const folder = String(url.searchParams.get("folder") || "all").toLowerCase();
+
+  const source = CATALOG_SOURCES[type];
+  if (!source) return jsonError(400, "unknown_type", `Unknown catalog type "${type}".`);
+  if (!gameKey) return jsonError(400, "missing_game", "Missing game");
+
+  const denied = checkHotlink(request, env);
+  if (denied) return denied;
+
+  const game = findGame(await getSnapshot(context, type), gameKey);
+  if (!game) return jsonError(404, "unknown_game", `No ${type} found for "${gameKey}".`);
+
+  const items = flattenGameItems(type, game).filter((it) => {
+    if (!it.id) return false;
+    if (folder === "all") return true;
+    return it.folderKey === folder || slugify(it.folderLabel) === folder;
+  });
+  if (!items.length) return jsonError(404, "empty_folder", "Nothing to download in this folder.");
+  const maxItems = maxZipItems(env);
+  if (items.length > maxItems) {
+    return jsonError(413, "too_many_items", `Folders over ${maxItems} files can't be zipped; pick a subfolder.`);
+  }
+
+  const zip = new ZipWriter();
+  const job = writeArchive(context, zip, items, source.ext, folder === "all").catch(async (err) => {
+    console.error("zip failed", err);
+    await zip.abort(err);
+  });
+  if (typeof context.waitUntil === "function") context.waitUntil(job);
+
+  const archiveName = sanitizeFilename([game.key, folder === "all" ? "" : folder].filter(Boolean).join("-"));
+  return new Response(zip.readable, {
+    headers: {
+      "Content-Type": "application/zip",
+      "Content-Disposition": attachmentDisposition(`${archiveName || "hive"}-${type}.zip`),
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
+// Files are streamed from storage into the archive one at a time, so memory
+// use doesn't grow with their size.
+async function writeArchive(context, zip, items, ext, byFolder) {
+  const storage = getStorage(context.env);
+  const used = new Set();
+  const missing = [];
+
+  for (const it of items) {
+    // One unreachable file shouldn't abort the whole archive.
+    const res = await storage.stream(it.id).catch(() => null);
+    if (!res || !res.ok) {
+      try { await res?.body?.cancel(); } catch {}
+      missing.push(it.name);
+      continue;
+    }
+
+    // Textures can be PNG, JPEG or WebP; everything else has its type's extension.
+    const itemExt =
+      imageExtensionFromType(it.mimeType) || imageExtensionFromType(res.headers.get("Content-Type")) || ext;
+    const dir = byFolder ? sanitizeFilename(it.folderLabel) : "";
+    const entryName = uniqueName(used, dir, sanitizeFilename(it.name) || "asset", itemExt);
+    const modified = new Date(it.updatedAt || res.headers.get("Last-Modified") || Date.now());
+    if (res.body) await zip.addStream(entryName, res.body, modified);
+    else await zip.addFile(entryName, new Uint8Array(0), modified);
+  }
+
+  if (missing.length) {
+    const note = `These files could not be fetched from storage:\n\n${missing.join("\n")}\n`;
+    await zip.addFile("MISSING.txt", new TextEncoder().encode(note));
+  }
+  await zip.finish();
+}
+
+function uniqueName(used, dir, base, ext) {
+  const prefix = dir ? `${dir}/` : "";
+  let name = `${prefix}${base}.${ext}`;
+  for (let n = 2; used.has(name.toLowerCase()); n++) name = `${prefix}${base} (${n}).${ext}`;
+  used.add(name.toLowerCase());
+  return name;
+}
@@ -5,26 +5,92 @@ export function apiUrl(path) {
   return API_BASE + path;
 }
 
+// Thrown for failed API calls. `message` is the server's user-facing text.
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = "", retryable = false } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+async function apiErrorFrom(res) {
+  let err = null;
+  try {
+    err = (await res.json())?.error;
+  } catch {}
+  return new ApiError(err?.message || `Request failed (${res.status}).`, {
+    status: res.status,
+    code: err?.code || "",
+    retryable: err?.retryable ?? res.status >= 500,
+  });
+}
+
+// GET + JSON with the API's error shape. Results served from the last good
+// copy (Drive down) come back with `stale: true`.
+async function getJson(url) {
+  let res;
+  try {
+    res = await fetch(url, { cache: "no-store" });
+  } catch {
+    throw new ApiError("Couldn't reach the server. Check your connection.", { retryable: true });
+  }
+  if (!res.ok) throw await apiErrorFrom(res);
+  const json = await res.json();
+  if (json && typeof json === "object" && res.headers.get("X-Stale")) json.stale = true;
+  return json;
+}
+
 export async function fetchModels(gameKey) {
-  const url = apiUrl(`/api/models${gameKey ? `?game=${encodeURIComponent(gameKey)}` : ""}`);
-  const res = await fetch(url, { cache: "no-store" });
-  if (!res.ok) throw new Error(`API ${res.status}: ${await res.text()}`);
-  return await res.json();
+  return await getJson(apiUrl(`/api/models${gameKey ? `?game=${encodeURIComponent(gameKey)}` : ""}`));
 }
 
 export async function fetchMaps(gameKey) {
-  const url = apiUrl(`/api/maps${gameKey ? `?game=${encodeURIComponent(gameKey)}` : ""}`);
-  const res = await fetch(url, { cache: "no-store" });
-  if (!res.ok) throw new Error(`API ${res.status}: ${await res.text()}`);
-  return await res.json();
+  return await getJson(apiUrl(`/api/maps${gameKey ? `?game=${encodeURIComponent(gameKey)}` : ""}`));
 }
 
-// List available map gamemodes from the MAPS drive root (requires Apps Script support).
-export async function fetchMapGames() {
-  const url = apiUrl(`/api/maps?list=1`);
-  const res = await fetch(url, { cache: "no-store" });
-  if (!res.ok) throw new Error(`API ${res.status}: ${await res.text()}`);
-  return await res.json();
+export async function fetchTextures(gameKey) {
+  return await getJson(apiUrl(`/api/textures${gameKey ? `?game=${encodeURIComponent(gameKey)}` : ""}`));
+}
+
+// Ranked search across every game (server-side index).
+export async function searchCatalog(q, { type = "", game = "", folder = "", limit = 0 } = {}) {
+  const params = new URLSearchParams({ q });
+  if (type) params.set("type", type);
+  if (game) params.set("game", game);
+  if (folder && folder !== "all") params.set("folder", folder);
+  if (limit) params.set("limit", String(limit));
+  return await getJson(apiUrl(`/api/search?${params.toString()}`));
+}
+
+// Gamemodes in the models or maps catalog: [{ key, label, itemCount, folderCount, updatedAt }]
+export async function fetchGames(type) {
+  const json = await getJson(apiUrl(`/api/games?type=${encodeURIComponent(type)}`));
+  return Array.isArray(json?.games) ? json.games : [];
+}
+
+// Geometry/texture/animation stats for one model (see /api/model-info).
+export async function fetchModelInfo(fileId) {
+  return await getJson(apiUrl(`/api/model-info?id=${encodeURIComponent(fileId)}`));
+}
+
+// Catalog change feed, newest first: { updatedAt, changes: [{ at, type, kind, id, name, url, ... }] }
+export async function fetchChanges({ type = "", kind = "", limit = 0 } = {}) {
+  const params = new URLSearchParams();
+  if (type) params.set("type", type);
+  if (kind) params.set("kind", kind);
+  if (limit) params.set("limit", String(limit));
+  const qs = params.toString();
+  const json = await getJson(apiUrl(`/api/changes${qs ? `?${qs}` : ""}`));
+  return Array.isArray(json?.changes) ? json.changes : [];
+}
+
+// Seasonal events with their assets: [{ id, title, season, start, end, description, counts, items }]
+export async function fetchRewind() {
+  const json = await getJson(apiUrl("/api/rewind"));
+  return Array.isArray(json?.events) ? json.events : [];
 }
 
 export function absoluteUrl(pathOrUrl) {
@@ -35,8 +101,20 @@ export function absoluteUrl(pathOrUrl) {
   }
 }
 
+// Ask the server to sign an expiring link for sharing. Resolves to null when
+// signing isn't configured so callers can fall back to a plain link.
+export async function fetchLinkSignature(fileId) {
+  const url = apiUrl(`/api/sign?id=${encodeURIComponent(fileId)}`);
+  const res = await fetch(url, { cache: "no-store" });
+  if (res.status === 501) return null;
+  if (!res.ok) throw await apiErrorFrom(res);
+  const json = await res.json();
+  return json?.sig ? { exp: json.exp, sig: json.sig } : null;
+}
+
 // Download URL (forces attachment naming). Use ext to ensure correct filename on Safari/iOS.
-export function fileDownloadUrl(fileId, filename, ext = "") {
+// Pass a signature from fetchLinkSignature() to produce a signed, expiring link.
+export function fileDownloadUrl(fileId, filename, ext = "", signature = null) {
   let outName = filename || "";
   const cleanExt = String(ext || "").replace(/^\./, "");
   if (outName && cleanExt && !outName.toLowerCase().endsWith(`.${cleanExt.toLowerCase()}`)) {
@@ -44,7 +122,23 @@ export function fileDownloadUrl(fileId, filename, ext = "") {
   }
   const name = outName ? `&name=${encodeURIComponent(outName)}` : "";
   const extQ = cleanExt ? `&ext=${encodeURIComponent(cleanExt)}` : "";
-  return apiUrl(`/api/file?id=${encodeURIComponent(fileId)}${name}${extQ}`);
+  const sigQ = signature?.sig
+    ? `&exp=${encodeURIComponent(signature.exp)}&sig=${encodeURIComponent(signature.sig)}`
+    : "";
+  return apiUrl(`/api/file?id=${encodeURIComponent(fileId)}${name}${extQ}${sigQ}`);
+}
+
+// Self-contained GLB (external buffers/images inlined) built from a glTF.
+export function packDownloadUrl(fileId, filename) {
+  const name = filename ? `&name=${encodeURIComponent(filename)}` : "";
+  return apiUrl(`/api/pack?id=${encodeURIComponent(fileId)}${name}`);
+}
+
+// ZIP of every item in a game (or one folder/mode of it).
+export function zipDownloadUrl(type, gameKey, folder = "all") {
+  const q = new URLSearchParams({ type, game: gameKey });
+  if (folder && folder !== "all") q.set("folder", folder);
+  return apiUrl(`/api/zip?${q.toString()}`);
 }
 
 // For image/video previews (no forced attachment name)
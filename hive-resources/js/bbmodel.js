@@ -0,0 +1,353 @@
+// Blockbench project (.bbmodel) export for the scene ModalPreview loaded.
+//
+// Blockbench works in absolute, unrotated pixel coordinates: a group's
+// origin is its pivot, its rotation turns everything inside it about that
+// pivot, and cubes are stored as from/to corners before any rotation. So each
+// node's pivot is its parent's pivot plus its (scaled) translation, and node
+// rotations become group/element rotations rather than being baked into
+// vertices.
+//
+// Geometry that's made of axis-aligned boxes (what Bedrock/Blockbench models
+// export as) turns back into cubes with per-face UVs; anything else becomes a
+// Blockbench mesh element. Skinned meshes are exported in their bind pose.
+// Bones and other empty nodes stay in the outliner as groups, so rigs keep
+// their pivots. Node transforms are read as they are: export with the
+// animation stopped (ModalPreview.withRestPose) to get the rest pose.
+
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+
+// glTF metres -> Blockbench pixels (16 per block).
+const UNITS = 16;
+const EPS = 1e-4;
+const UV_EPS = 1e-3;
+
+// Cube faces in Blockbench terms: outward normal axis/sign, and which box
+// corner (0 = min, 1 = max per axis) sits at the face's TL, TR, BR and BL
+// when the face is seen from outside.
+const FACES = {
+  north: { axis: 2, sign: -1, corners: [[1, 1, 0], [0, 1, 0], [0, 0, 0], [1, 0, 0]] },
+  south: { axis: 2, sign: 1, corners: [[0, 1, 1], [1, 1, 1], [1, 0, 1], [0, 0, 1]] },
+  east: { axis: 0, sign: 1, corners: [[1, 1, 1], [1, 1, 0], [1, 0, 0], [1, 0, 1]] },
+  west: { axis: 0, sign: -1, corners: [[0, 1, 0], [0, 1, 1], [0, 0, 1], [0, 0, 0]] },
+  up: { axis: 1, sign: 1, corners: [[0, 1, 0], [1, 1, 0], [1, 1, 1], [0, 1, 1]] },
+  down: { axis: 1, sign: -1, corners: [[0, 0, 1], [1, 0, 1], [1, 0, 0], [0, 0, 0]] },
+};
+
+const uuid = () => crypto.randomUUID();
+const round = (v) => Math.round(v * 1e4) / 1e4;
+
+function degreesZYX(quaternion) {
+  const e = new THREE.Euler().setFromQuaternion(quaternion, "ZYX");
+  return [e.x, e.y, e.z].map((r) => round(THREE.MathUtils.radToDeg(r)));
+}
+
+// --- Textures ------------------------------------------------------------------
+
+function textureEntry(texture, index) {
+  const image = texture.image;
+  const width = image?.width || 16;
+  const height = image?.height || 16;
+  let source = "";
+  try {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").drawImage(image, 0, 0);
+    source = canvas.toDataURL("image/png");
+  } catch {
+    // Unreadable image: keep the slot so face indices still line up.
+  }
+  return {
+    path: "",
+    name: `${texture.name || `texture_${index}`}.png`,
+    folder: "block",
+    namespace: "",
+    id: String(index),
+    width,
+    height,
+    uv_width: width,
+    uv_height: height,
+    particle: index === 0,
+    render_mode: "default",
+    render_sides: "auto",
+    frame_time: 1,
+    frame_order_type: "loop",
+    frame_order: "",
+    frame_interpolate: false,
+    visible: true,
+    internal: true,
+    saved: false,
+    uuid: uuid(),
+    source,
+  };
+}
+
+// --- Geometry --------------------------------------------------------------------
+
+// Triangles of a mesh in Blockbench units relative to its pivot, with UVs in
+// 0..1 and the material slot each one uses.
+function meshTriangles(mesh, scale) {
+  const geometry = mesh.geometry;
+  const pos = geometry.attributes.position;
+  const uv = geometry.attributes.uv || null;
+  const index = geometry.index;
+  const count = index ? index.count : pos.count;
+  const groups = geometry.groups.length ? geometry.groups : [{ start: 0, count, materialIndex: 0 }];
+
+  const vertex = (i) => ({
+    p: [pos.getX(i) * scale.x * UNITS, pos.getY(i) * scale.y * UNITS, pos.getZ(i) * scale.z * UNITS],
+    uv: uv ? [uv.getX(i), uv.getY(i)] : [0, 0],
+  });
+
+  const tris = [];
+  for (const group of groups) {
+    const end = Math.min(count, group.start + group.count);
+    for (let t = group.start; t + 2 < end; t += 3) {
+      const ids = [t, t + 1, t + 2].map((k) => (index ? index.getX(k) : k));
+      tris.push({ v: ids.map(vertex), material: group.materialIndex || 0 });
+    }
+  }
+  return tris;
+}
+
+const posKey = (p) => p.map((v) => Math.round(v / EPS)).join(",");
+
+// Splits triangles into pieces that share corner positions (one per box, for
+// box models).
+function connectedPieces(tris) {
+  const parent = tris.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const owner = new Map();
+  tris.forEach((tri, i) => {
+    for (const v of tri.v) {
+      const key = posKey(v.p);
+      if (owner.has(key)) parent[find(i)] = find(owner.get(key));
+      else owner.set(key, i);
+    }
+  });
+  const pieces = new Map();
+  tris.forEach((tri, i) => {
+    const root = find(i);
+    if (!pieces.has(root)) pieces.set(root, []);
+    pieces.get(root).push(tri);
+  });
+  return [...pieces.values()];
+}
+
+function normalOf(tri) {
+  const [a, b, c] = tri.v.map((v) => new THREE.Vector3(...v.p));
+  return b.sub(a).cross(c.sub(a));
+}
+
+// Blockbench face UV [u1, v1, u2, v2] plus quarter-turn rotation that puts the
+// given corner UVs (TL, TR, BR, BL) on the face, or null if the mapping isn't
+// a rectangle.
+function faceUv(cornerUvs) {
+  const same = (a, b) => Math.abs(a[0] - b[0]) < UV_EPS && Math.abs(a[1] - b[1]) < UV_EPS;
+  for (let k = 0; k < 4; k++) {
+    // Rotating the texture k quarter turns clockwise moves its corner i onto
+    // face corner i + k.
+    const tex = [0, 1, 2, 3].map((i) => cornerUvs[(i + k) % 4]);
+    const [u1, v1] = tex[0];
+    const [u2, v2] = tex[2];
+    if (same(tex[1], [u2, v1]) && same(tex[3], [u1, v2])) return { uv: [u1, v1, u2, v2], rotation: k * 90 };
+  }
+  return null;
+}
+
+/**
+ * A Blockbench cube for triangles that form an axis-aligned box (faces may be
+ * missing), or null.
+ */
+function cubeFromPiece(tris, textureIndex, resolution) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const tri of tris) {
+    for (const { p } of tri.v) {
+      for (let k = 0; k < 3; k++) {
+        min[k] = Math.min(min[k], p[k]);
+        max[k] = Math.max(max[k], p[k]);
+      }
+    }
+  }
+  const box = [min, max];
+  const onCorner = (p) => p.every((v, k) => Math.abs(v - min[k]) < EPS || Math.abs(v - max[k]) < EPS);
+
+  const byFace = new Map();
+  for (const tri of tris) {
+    if (!tri.v.every((v) => onCorner(v.p))) return null;
+    const n = normalOf(tri);
+    const axis = [Math.abs(n.x), Math.abs(n.y), Math.abs(n.z)].indexOf(Math.max(Math.abs(n.x), Math.abs(n.y), Math.abs(n.z)));
+    const sign = Math.sign(n.getComponent(axis));
+    const name = Object.keys(FACES).find((f) => FACES[f].axis === axis && FACES[f].sign === sign);
+    // Every vertex must sit on that face's plane.
+    const plane = box[sign > 0 ? 1 : 0][axis];
+    if (!name || !tri.v.every((v) => Math.abs(v.p[axis] - plane) < EPS)) return null;
+    if (!byFace.has(name)) byFace.set(name, []);
+    byFace.get(name).push(tri);
+  }
+
+  const faces = {};
+  for (const [name, face] of Object.entries(FACES)) {
+    const faceTris = byFace.get(name);
+    if (!faceTris) {
+      faces[name] = { uv: [0, 0, 0, 0], texture: null };
+      continue;
+    }
+    const cornerUvs = [];
+    for (const corner of face.corners) {
+      const p = corner.map((c, k) => box[c][k]);
+      const hit = faceTris.flatMap((t) => t.v).find((v) => posKey(v.p) === posKey(p));
+      if (!hit) return null;
+      cornerUvs.push([hit.uv[0] * resolution.width, hit.uv[1] * resolution.height]);
+    }
+    const mapped = faceUv(cornerUvs);
+    if (!mapped) return null;
+    faces[name] = { uv: mapped.uv.map(round), texture: textureIndex(faceTris[0].material) };
+    if (mapped.rotation) faces[name].rotation = mapped.rotation;
+  }
+  return { min, max, faces };
+}
+
+function meshElement(name, tris, textureIndex, resolution) {
+  const vertices = {};
+  const ids = new Map();
+  const vertexId = (p) => {
+    const key = posKey(p);
+    if (!ids.has(key)) {
+      const id = `v${ids.size}`;
+      ids.set(key, id);
+      vertices[id] = p.map(round);
+    }
+    return ids.get(key);
+  };
+
+  const faces = {};
+  tris.forEach((tri, i) => {
+    const uv = {};
+    const verts = tri.v.map((v) => {
+      const id = vertexId(v.p);
+      uv[id] = [round(v.uv[0] * resolution.width), round(v.uv[1] * resolution.height)];
+      return id;
+    });
+    faces[`f${i}`] = { uv, vertices: verts, texture: textureIndex(tri.material) };
+  });
+
+  return { name, vertices, faces };
+}
+
+// --- Export ---------------------------------------------------------------------
+
+/**
+ * Converts a loaded glTF scene into a Blockbench project object (serialize
+ * with JSON.stringify). `root` is the glTF scene; its own transform (the
+ * preview's centering) is ignored.
+ */
+export function sceneToBBModel(root, { name = "model" } = {}) {
+  const textures = [];
+  const textureSlots = new Map();
+  const elements = [];
+
+  const textureFor = (material) => {
+    const map = material?.map;
+    if (!map) return null;
+    if (!textureSlots.has(map)) {
+      textureSlots.set(map, textures.length);
+      textures.push(map);
+    }
+    return textureSlots.get(map);
+  };
+
+  // First texture sets the UV resolution (Blockbench's project resolution).
+  root.traverse((obj) => {
+    if (!obj.isMesh) return;
+    for (const m of Array.isArray(obj.material) ? obj.material : [obj.material]) textureFor(m);
+  });
+  const first = textures[0]?.image;
+  const resolution = { width: first?.width || 16, height: first?.height || 16 };
+
+  const addMesh = (mesh, origin, scale, rotation) => {
+    const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+    const textureIndex = (slot) => textureFor(materials[slot] || materials[0]);
+    const label = mesh.name || "mesh";
+    const uuids = [];
+
+    const pieces = connectedPieces(meshTriangles(mesh, scale));
+    const cubes = pieces.map((piece) => cubeFromPiece(piece, textureIndex, resolution));
+    const base = { origin: origin.map(round), rotation, export: true, visibility: true, locked: false, render_order: "default", allow_mirror_modeling: true };
+
+    if (cubes.every(Boolean)) {
+      cubes.forEach((cube, i) => {
+        const id = uuid();
+        elements.push({
+          name: cubes.length > 1 ? `${label}_${i + 1}` : label,
+          box_uv: false,
+          rescale: false,
+          from: cube.min.map((v, k) => round(origin[k] + v)),
+          to: cube.max.map((v, k) => round(origin[k] + v)),
+          autouv: 0,
+          color: elements.length % 8,
+          ...base,
+          faces: cube.faces,
+          type: "cube",
+          uuid: id,
+        });
+        uuids.push(id);
+      });
+    } else {
+      const id = uuid();
+      const mesh = meshElement(label, pieces.flat(), textureIndex, resolution);
+      elements.push({ ...mesh, color: elements.length % 8, ...base, type: "mesh", uuid: id });
+      uuids.push(id);
+    }
+    return uuids;
+  };
+
+  // Outliner node for `obj`: a group (empty for bones and empties), or bare
+  // element UUIDs for a leaf mesh.
+  const visit = (obj, parentOrigin, parentScale) => {
+    if (obj.visible === false || obj.isLight || obj.isCamera) return [];
+    const scale = parentScale.clone().multiply(obj.scale);
+    const origin = [0, 1, 2].map((k) => parentOrigin[k] + obj.position.getComponent(k) * parentScale.getComponent(k) * UNITS);
+    const rotation = degreesZYX(obj.quaternion);
+
+    const isLeafMesh = obj.isMesh && !obj.children.length;
+    if (isLeafMesh) return addMesh(obj, origin, scale, rotation);
+
+    const children = [];
+    if (obj.isMesh) children.push(...addMesh(obj, origin, scale, [0, 0, 0]));
+    for (const child of obj.children) children.push(...visit(child, origin, scale));
+    return [{
+      name: obj.name || (obj.isBone ? "bone" : "group"),
+      origin: origin.map(round),
+      color: 0,
+      uuid: uuid(),
+      export: true,
+      mirror_uv: false,
+      isOpen: false,
+      locked: false,
+      visibility: true,
+      autouv: 0,
+      rotation,
+      children,
+    }];
+  };
+
+  const outliner = [];
+  for (const child of root.children) outliner.push(...visit(child, [0, 0, 0], new THREE.Vector3(1, 1, 1)));
+
+  return {
+    meta: { format_version: "4.5", model_format: "free", box_uv: false },
+    name,
+    model_identifier: "",
+    visible_box: [1, 1, 0],
+    variable_placeholders: "",
+    variable_placeholder_buttons: [],
+    timeline_setups: [],
+    unhandled_root_fields: {},
+    resolution,
+    elements,
+    outliner,
+    textures: textures.map(textureEntry),
+  };
+}
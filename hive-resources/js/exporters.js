@@ -0,0 +1,170 @@
+// Client-side exports of the scene ModalPreview has loaded.
+//
+// Everything is baked into world space first, so the files come out centred
+// and facing the way the preview shows them (centerAndFrame's transform on the
+// root included). Skinned meshes are baked in their current pose.
+
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+import { OBJExporter } from "https://unpkg.com/three@0.160.0/examples/jsm/exporters/OBJExporter.js";
+import { STLExporter } from "https://unpkg.com/three@0.160.0/examples/jsm/exporters/STLExporter.js";
+import { USDZExporter } from "https://unpkg.com/three@0.160.0/examples/jsm/exporters/USDZExporter.js";
+import { zipSync, strToU8 } from "https://unpkg.com/three@0.160.0/examples/jsm/libs/fflate.module.js";
+
+export const EXPORT_FORMATS = {
+  obj: { label: "OBJ + MTL", ext: "zip", type: "application/zip" },
+  stl: { label: "STL", ext: "stl", type: "model/stl" },
+  usdz: { label: "USDZ", ext: "usdz", type: "model/vnd.usdz+zip" },
+};
+
+// One world-space geometry per mesh and material slot.
+function bakeMesh(mesh, geometry, material, slot) {
+  const out = new THREE.BufferGeometry();
+  for (const name of ["position", "normal", "uv"]) {
+    const attr = geometry.getAttribute(name);
+    if (attr) out.setAttribute(name, attr.clone());
+  }
+
+  if (slot) {
+    const index = [];
+    for (let i = slot.start; i < slot.start + slot.count; i++) index.push(geometry.index ? geometry.index.getX(i) : i);
+    out.setIndex(index);
+  } else if (geometry.index) {
+    out.setIndex(geometry.index.clone());
+  }
+
+  if (mesh.isSkinnedMesh) {
+    const pos = out.getAttribute("position");
+    const v = new THREE.Vector3();
+    for (let i = 0; i < pos.count; i++) {
+      mesh.applyBoneTransform(i, v.fromBufferAttribute(geometry.getAttribute("position"), i));
+      pos.setXYZ(i, v.x, v.y, v.z);
+    }
+  }
+
+  out.applyMatrix4(mesh.matrixWorld);
+  if (mesh.isSkinnedMesh || !out.getAttribute("normal")) out.computeVertexNormals();
+  return new THREE.Mesh(out, material);
+}
+
+/**
+ * Flattens `root` into a group of world-space meshes, one per material slot,
+ * using MeshStandardMaterial copies of the preview's materials (the USDZ
+ * exporter skips anything else).
+ */
+function bakeScene(root) {
+  root.updateWorldMatrix(true, true);
+
+  const materials = new Map();
+  const standard = (m) => {
+    if (!materials.has(m)) {
+      materials.set(m, new THREE.MeshStandardMaterial({
+        name: `material_${materials.size}`,
+        map: m?.map || null,
+        color: m?.color ?? new THREE.Color(0xffffff),
+        transparent: !!m?.transparent,
+        opacity: m?.opacity ?? 1,
+        alphaTest: m?.alphaTest ?? 0,
+        side: m?.side ?? THREE.FrontSide,
+        roughness: 1,
+        metalness: 0,
+      }));
+    }
+    return materials.get(m);
+  };
+
+  const group = new THREE.Group();
+  root.traverseVisible((obj) => {
+    if (!obj.isMesh || !obj.geometry?.getAttribute("position")) return;
+    const geometry = obj.geometry;
+    if (Array.isArray(obj.material) && geometry.groups.length) {
+      for (const slot of geometry.groups) {
+        const mesh = bakeMesh(obj, geometry, standard(obj.material[slot.materialIndex]), slot);
+        mesh.name = obj.name || `mesh_${group.children.length}`;
+        group.add(mesh);
+      }
+    } else {
+      const mesh = bakeMesh(obj, geometry, standard(Array.isArray(obj.material) ? obj.material[0] : obj.material));
+      mesh.name = obj.name || `mesh_${group.children.length}`;
+      group.add(mesh);
+    }
+  });
+  group.updateWorldMatrix(true, true);
+  return { group, materials: [...materials.values()] };
+}
+
+function disposeBaked(group) {
+  group.traverse((obj) => obj.geometry?.dispose());
+}
+
+async function textureToPng(texture) {
+  const image = texture.image;
+  const canvas = document.createElement("canvas");
+  canvas.width = image.width;
+  canvas.height = image.height;
+  canvas.getContext("2d").drawImage(image, 0, 0);
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+const mtlNumber = (v) => Number(v.toFixed(6));
+
+async function exportObj(group, materials, baseName) {
+  // glTF UVs start at the top of the image, OBJ's at the bottom.
+  group.traverse((obj) => {
+    const uv = obj.geometry?.getAttribute("uv");
+    if (!uv || obj.material?.map?.flipY !== false) return;
+    for (let i = 0; i < uv.count; i++) uv.setY(i, 1 - uv.getY(i));
+  });
+
+  const files = {};
+  const textureNames = new Map();
+  let mtl = "";
+  for (const m of materials) {
+    const c = m.color;
+    mtl += `newmtl ${m.name}\n`;
+    mtl += `Kd ${mtlNumber(c.r)} ${mtlNumber(c.g)} ${mtlNumber(c.b)}\n`;
+    mtl += "Ka 0 0 0\nKs 0 0 0\nillum 1\n";
+    if (m.opacity < 1) mtl += `d ${mtlNumber(m.opacity)}\n`;
+    if (m.map?.image) {
+      if (!textureNames.has(m.map)) {
+        const file = `${baseName}_${textureNames.size}.png`;
+        textureNames.set(m.map, file);
+        try {
+          files[file] = await textureToPng(m.map);
+        } catch {
+          // Unreadable image: the material just loses its texture.
+          textureNames.set(m.map, null);
+        }
+      }
+      const file = textureNames.get(m.map);
+      if (file) mtl += `map_Kd ${file}\n`;
+    }
+    mtl += "\n";
+  }
+
+  const obj = `mtllib ${baseName}.mtl\n` + new OBJExporter().parse(group);
+  files[`${baseName}.obj`] = strToU8(obj);
+  files[`${baseName}.mtl`] = strToU8(mtl);
+  return zipSync(files);
+}
+
+/**
+ * Serializes the loaded scene to `format` (a key of EXPORT_FORMATS) and
+ * resolves to a Blob ready to download.
+ */
+export async function exportScene(root, format, { baseName = "model" } = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+  const { group, materials } = bakeScene(root);
+  try {
+    let data;
+    if (format === "obj") data = await exportObj(group, materials, baseName);
+    else if (format === "stl") data = new STLExporter().parse(group, { binary: true });
+    else data = await new USDZExporter().parse(group, { quickLookCompatible: true });
+    return new Blob([data], { type: spec.type });
+  } finally {
+    disposeBaked(group);
+    for (const m of materials) m.dispose();
+  }
+}
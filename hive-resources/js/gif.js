@@ -0,0 +1,232 @@
+// Minimal animated GIF encoder for the turntable export.
+//
+// One palette for the whole animation (median cut over a 15-bit colour
+// histogram of every frame), 1-bit transparency for pixels under half alpha,
+// and an endless loop. Good enough for turntables, where the colours barely
+// change between frames.
+
+const TRANSPARENT = 0;
+// Palette slots left after the transparent one.
+const MAX_COLORS = 255;
+
+const bin = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+function histogram(frames) {
+  const hist = new Uint32Array(1 << 15);
+  for (const data of frames) {
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] >= 128) hist[bin(data[i], data[i + 1], data[i + 2])]++;
+    }
+  }
+  return hist;
+}
+
+const channel = (c, k) => (c >> (10 - k * 5)) & 31;
+
+// Median cut over the histogram's occupied bins; returns [[r, g, b], ...].
+function buildPalette(hist) {
+  const colors = [];
+  for (let c = 0; c < hist.length; c++) if (hist[c]) colors.push(c);
+
+  const boxes = [colors];
+  while (boxes.length < MAX_COLORS) {
+    // Split the box with the widest channel range (weighted by pixel count).
+    let best = -1;
+    let bestScore = 0;
+    let bestChannel = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      let count = 0;
+      for (const c of box) count += hist[c];
+      for (let k = 0; k < 3; k++) {
+        let lo = 31;
+        let hi = 0;
+        for (const c of box) {
+          const v = channel(c, k);
+          if (v < lo) lo = v;
+          if (v > hi) hi = v;
+        }
+        const score = (hi - lo) * Math.sqrt(count);
+        if (score > bestScore) {
+          best = i;
+          bestScore = score;
+          bestChannel = k;
+        }
+      }
+    });
+    if (best < 0) break;
+
+    const box = boxes[best].sort((a, b) => channel(a, bestChannel) - channel(b, bestChannel));
+    let total = 0;
+    for (const c of box) total += hist[c];
+    let seen = 0;
+    let cut = 1;
+    for (; cut < box.length - 1; cut++) {
+      seen += hist[box[cut - 1]];
+      if (seen >= total / 2) break;
+    }
+    boxes.splice(best, 1, box.slice(0, cut), box.slice(cut));
+  }
+
+  return boxes.filter((box) => box.length).map((box) => {
+    let n = 0;
+    const sum = [0, 0, 0];
+    for (const c of box) {
+      for (let k = 0; k < 3; k++) sum[k] += (channel(c, k) * 8 + 4) * hist[c];
+      n += hist[c];
+    }
+    return sum.map((v) => Math.round(v / n));
+  });
+}
+
+function indexFrame(data, palette, cache) {
+  const out = new Uint8Array(data.length / 4);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    if (data[i + 3] < 128) {
+      out[p] = TRANSPARENT;
+      continue;
+    }
+    const key = bin(data[i], data[i + 1], data[i + 2]);
+    let idx = cache[key];
+    if (idx === 0) {
+      // Nearest palette colour to the bin's centre.
+      const r = (key >> 10) * 8 + 4;
+      const g = ((key >> 5) & 31) * 8 + 4;
+      const b = (key & 31) * 8 + 4;
+      let bestDist = Infinity;
+      palette.forEach(([pr, pg, pb], j) => {
+        const d = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+        if (d < bestDist) {
+          bestDist = d;
+          idx = j + 1;
+        }
+      });
+      cache[key] = idx;
+    }
+    out[p] = idx;
+  }
+  return out;
+}
+
+// GIF-flavoured LZW, packed LSB-first into 255-byte sub-blocks.
+function lzw(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  let table = new Map();
+
+  const bytes = [];
+  let cur = 0;
+  let shift = 0;
+  const emit = (code) => {
+    cur |= code << shift;
+    shift += codeSize;
+    while (shift >= 8) {
+      bytes.push(cur & 0xff);
+      cur >>>= 8;
+      shift -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      table = new Map();
+      nextCode = eoiCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (shift > 0) bytes.push(cur & 0xff);
+
+  const blocks = Math.ceil(bytes.length / 255);
+  const out = new Uint8Array(1 + bytes.length + blocks + 1);
+  out[0] = minCodeSize;
+  let o = 1;
+  for (let i = 0; i < bytes.length; i += 255) {
+    const n = Math.min(255, bytes.length - i);
+    out[o++] = n;
+    for (let j = 0; j < n; j++) out[o++] = bytes[i + j];
+  }
+  out[o] = 0;
+  return out;
+}
+
+/**
+ * Encodes RGBA frames (Uint8ClampedArray, width*height*4 each) into a looping
+ * GIF Blob. `delay` is per frame, in milliseconds; `onProgress(done, total)`
+ * is called between frames, which also yield to the page.
+ */
+export async function encodeGif(frames, { width, height, delay = 50, onProgress } = {}) {
+  const palette = buildPalette(histogram(frames));
+  const cache = new Uint8Array(1 << 15);
+
+  // Small header/descriptor bytes collect in `out`, flushed into `parts`
+  // ahead of each frame's image data.
+  const parts = [];
+  let out = [];
+  const flush = () => {
+    parts.push(new Uint8Array(out));
+    out = [];
+  };
+  const u16 = (v) => out.push(v & 0xff, (v >> 8) & 0xff);
+  const ascii = (s) => out.push(...[...s].map((ch) => ch.charCodeAt(0)));
+
+  ascii("GIF89a");
+  u16(width);
+  u16(height);
+  // Global colour table of 256 entries, 8-bit colour resolution.
+  out.push(0xf7, TRANSPARENT, 0);
+  for (let i = 0; i < 256; i++) {
+    const rgb = i === TRANSPARENT ? [0, 0, 0] : palette[i - 1] || [0, 0, 0];
+    out.push(...rgb);
+  }
+
+  // Loop forever.
+  out.push(0x21, 0xff, 0x0b);
+  ascii("NETSCAPE2.0");
+  out.push(0x03, 0x01);
+  u16(0);
+  out.push(0);
+
+  const centis = Math.max(2, Math.round(delay / 10));
+  for (let f = 0; f < frames.length; f++) {
+    // Graphic control: restore to background (so transparent areas stay
+    // clear), transparent index 0.
+    out.push(0x21, 0xf9, 0x04, (2 << 2) | 1);
+    u16(centis);
+    out.push(TRANSPARENT, 0);
+
+    out.push(0x2c);
+    u16(0);
+    u16(0);
+    u16(width);
+    u16(height);
+    out.push(0);
+    flush();
+    parts.push(lzw(indexFrame(frames[f], palette, cache), 8));
+
+    onProgress?.(f + 1, frames.length);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  out.push(0x3b);
+  flush();
+  return new Blob(parts, { type: "image/gif" });
+}
@@ -1,6 +1,7 @@
 (() => {
   // ===== CONFIG =====
-  const WORKER_BASE = "https://delicate-bush-cf6f.sparkskye-minecraft.workers.dev";
+  // Same-origin Pages Functions (/api/games, /api/models, /api/maps, /api/file).
+  const WORKER_BASE = "";
   const TYPE = document.documentElement.dataset.type || "models"; // "models" or "maps"
   const EXT = TYPE === "maps" ? "glb" : "gltf";
 
@@ -84,13 +85,20 @@
   // ===== Fetch =====
   async function fetchJSON(url) {
     const res = await fetch(url, { cache: "no-store" });
-    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+    if (!res.ok) {
+      // API errors are { error: { message } }; show that rather than a bare status.
+      let message = `${res.status} ${res.statusText}`;
+      try {
+        message = (await res.json())?.error?.message || message;
+      } catch {}
+      throw new Error(message);
+    }
     return await res.json();
   }
 
   async function loadGames() {
     const data = await fetchJSON(API_LIST_GAMES);
-    games = (data.games || []).slice().sort((a, b) => a.name.localeCompare(b.name));
+    games = (data.games || []).slice().sort((a, b) => a.label.localeCompare(b.label));
   }
 
   async function loadGameData(gameKey) {
@@ -103,6 +111,8 @@
       for (const it of (g.items || [])) {
         flat.push({
           ...it,
+          // Maps carry their file as glbId.
+          modelId: it.modelId || it.glbId,
           game: data.game?.key || gameKey,
           groupKey: g.key,
           groupLabel: g.label,
@@ -127,7 +137,7 @@
 
     for (const g of games) {
       elGameRow.appendChild(
-        pill(g.name, {
+        pill(g.label, {
           active: currentGame === g.key,
           onClick: () => {
             if (currentGame === g.key) return;
@@ -523,7 +533,7 @@
       renderGrid();
     } catch (err) {
       console.error(err);
-      setStatus("Failed to load. Check console.");
+      setStatus(`Failed to load: ${err?.message || "check console."}`);
     }
   }
 
@@ -1,10 +1,12 @@
-import { fetchMaps, fetchMapGames, fileDownloadUrl, fileViewUrl } from "./api.js";
-import { qs, debounce, setUrlParam, getUrlParam, copyToClipboard, titleCase, initMobileNav } from "./ui.js";
+import { fetchMaps, fetchGames, searchCatalog, fetchLinkSignature, fileDownloadUrl, fileViewUrl, zipDownloadUrl } from "./api.js";
+import { initNewsBanner } from "./news.js";
+import { qs, debounce, setUrlParam, getUrlParam, copyToClipboard, titleCase, initMobileNav, renderGridError } from "./ui.js";
 
 const els = {
   gameChips: qs("#gameChips"),
   modeChips: qs("#modeChips"),
   search: qs("#searchInput"),
+  searchScope: qs("#searchScope"),
   count: qs("#countLabel"),
   grid: qs("#grid"),
 
@@ -24,10 +26,14 @@ const state = {
   game: slugify(getUrlParam("game", "")),
   mode: String(getUrlParam("mode", "all") || "all").toLowerCase(),
   q: getUrlParam("q", ""),
+  // "game" filters the loaded gamemode locally; "all" asks /api/search.
+  scope: getUrlParam("scope", "") === "all" ? "all" : "game",
   data: null,
   groups: [],
   items: [],
   filtered: [],
+  // True when the API answered from its last good copy (Drive is failing).
+  stale: false,
   lastFocus: null,
 };
 
@@ -35,6 +41,7 @@ let gridLoadingEl = null;
 let gridLoadingStop = null;
 let imgIO = null;
 let loadSeq = 0;
+let searchSeq = 0;
 
 function slugify(s) {
   return (s || "")
@@ -69,53 +76,16 @@ function makeChip({ label, active, onClick, extraClass = "" }) {
 }
 
 async function loadGameListIfNeeded() {
-  // Prefer the maps drive root (prevents showing model-only gamemodes like "pets").
+  // The maps catalog only lists gamemodes from the MAPS drive root
+  // (so model-only gamemodes like "pets" don't show up here).
+  if (state.games.length) return;
   try {
-    const res = await fetchMapGames();
-    const raw = Array.isArray(res?.games) ? res.games : Array.isArray(res) ? res : [];
-
-    // Support either: ["bedwars", ...] OR [{key,label}, ...]
-    const parsed = raw.map((g) => {
-      if (typeof g === "string") {
-        const key = slugify(g);
-        return key ? { key, label: normalizeGameLabel(g) } : null;
-      }
-      if (g && typeof g === "object") {
-        const labelCandidate =
-          (typeof g.label === "string" ? g.label : (g.label && (g.label.label || g.label.name))) ||
-          (typeof g.name === "string" ? g.name : (g.name && (g.name.label || g.name.name))) ||
-          (typeof g.title === "string" ? g.title : "") ||
-          (typeof g.key === "string" ? g.key : "") ||
-          (typeof g.slug === "string" ? g.slug : "");
-
-        let key = slugify(String(g.key || g.slug || labelCandidate || ""));
-        const label = normalizeGameLabel(String(labelCandidate || key || ""));
-        if (!key) key = slugify(label);
-        return key ? { key, label } : null;
-      }
-      return null;
-    }).filter(Boolean);
-
-    // De-dupe by key (keeps first label)
-    const seen = new Set();
-    state.games = parsed.filter((g) => {
-      if (seen.has(g.key)) return false;
-      seen.add(g.key);
-      return true;
-    });
-    return;
-  } catch {
-    // Fallback (if the Apps Script list endpoint isn't deployed yet).
-    const provided = window.__HIVE_GAMES;
-    if (Array.isArray(provided) && provided.length) {
-      state.games = provided.map((x) => {
-        if (typeof x === "string") return { key: slugify(x), label: normalizeGameLabel(x) };
-        const label = String(x?.label || x?.name || x?.title || x?.key || "");
-        const key = slugify(String(x?.key || x?.slug || label));
-        return { key, label: normalizeGameLabel(label || key) };
-      }).filter(g => g.key);
-      return;
-    }
+    const games = await fetchGames("maps");
+    state.games = games
+      .map((g) => ({ key: slugify(g.key), label: String(g.label || normalizeGameLabel(g.key)).toUpperCase() }))
+      .filter((g) => g.key);
+  } catch (err) {
+    console.error(err);
     state.games = [];
   }
 }
@@ -199,6 +169,24 @@ function renderModeChips(groups) {
       }
     }));
   }
+
+  // ALL MAPS spans every gamemode; zips are per gamemode.
+  if (state.game === "all") return;
+
+  // Streams a ZIP of everything in the selected mode.
+  els.modeChips.appendChild(makeChip({
+    label: "DOWNLOAD ALL",
+    active: false,
+    extraClass: "chip--action",
+    onClick: () => {
+      const a = document.createElement("a");
+      a.href = zipDownloadUrl("maps", state.game, state.mode);
+      a.download = "";
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+    }
+  }));
 }
 
 function pickGlbId(it) {
@@ -267,6 +255,13 @@ function flattenItemsFromGroups(groups, gameKey) {
 
 function applyFiltersAndRenderGrid() {
   const q = (state.q || "").trim().toLowerCase();
+  // Invalidate any in-flight cross-game search.
+  const mySearch = ++searchSeq;
+  if (state.scope === "all" && q) {
+    runGlobalSearch(q, mySearch);
+    return;
+  }
+
   const mode = (state.mode || "all").toLowerCase();
 
   const items = state.items.filter((it) => {
@@ -284,10 +279,42 @@ function applyFiltersAndRenderGrid() {
   });
 
   state.filtered = items;
-  els.count.textContent = `${items.length} shown`;
+  els.count.textContent = `${items.length} shown${state.stale ? " (cached)" : ""}`;
   renderGrid(items);
 }
 
+async function runGlobalSearch(q, mySearch) {
+  els.count.textContent = "searching…";
+  try {
+    const res = await searchCatalog(q, { type: "maps", limit: 200 });
+    if (mySearch !== searchSeq) return;
+    const items = (res.hits || []).map((h) => ({
+      name: h.name,
+      gameKey: h.game.key,
+      glbId: h.fileId,
+      thumbId: h.thumbId,
+      thumbUrl: h.thumbUrl,
+      relPath: h.path || h.folder.label || "",
+      modeKey: h.folder.key,
+      modeLabel: h.folder.label || "",
+      ext: "glb",
+    }));
+    state.filtered = items;
+    els.count.textContent = `${items.length} shown (all games)`;
+    renderGrid(items);
+  } catch (err) {
+    if (mySearch !== searchSeq) return;
+    console.error(err);
+    els.count.textContent = "search failed";
+    renderGridError(els.grid, err, () => applyFiltersAndRenderGrid());
+  }
+}
+
+function renderSearchScope() {
+  els.searchScope.classList.toggle("is-active", state.scope === "all");
+  els.searchScope.setAttribute("aria-pressed", String(state.scope === "all"));
+}
+
 function startDotLoader(el, baseText) {
   if (!el) return () => {};
   let n = 0;
@@ -467,7 +494,11 @@ function openModal(it) {
 
   els.modalCopy.onclick = async () => {
     if (!dl) return;
-    const absolute = new URL(dl, window.location.origin).href;
+    // Shared links are signed and expire; fall back to the plain link if signing is off.
+    let signature = null;
+    try { signature = await fetchLinkSignature(it.glbId); } catch {}
+    const link = signature ? fileDownloadUrl(it.glbId, baseName, "glb", signature) : dl;
+    const absolute = new URL(link, window.location.origin).href;
     await copyToClipboard(absolute);
     els.modalCopy.textContent = "COPIED!";
     setTimeout(() => (els.modalCopy.textContent = "COPY LINK"), 900);
@@ -495,6 +526,14 @@ els.search.addEventListener("input", debounce(() => {
   applyFiltersAndRenderGrid();
 }, 120));
 
+renderSearchScope();
+els.searchScope.addEventListener("click", () => {
+  state.scope = state.scope === "all" ? "game" : "all";
+  setUrlParam("scope", state.scope === "all" ? "all" : "");
+  renderSearchScope();
+  applyFiltersAndRenderGrid();
+});
+
 async function loadDataAndRender() {
   const mySeq = ++loadSeq;
   showGridLoading(true);
@@ -531,16 +570,23 @@ async function loadDataAndRender() {
     // ALL MAPS aggregates across every gamemode in the maps drive.
     if (state.game === "all") {
       const gameKeys = state.games.map(g => g.key).filter(Boolean);
+      let firstError = null;
+      let stale = false;
       const results = await mapLimit(gameKeys, 4, async (gk) => {
         try {
           const json = await fetchMaps(gk);
+          stale ||= !!json.stale;
           const groups = json.groups || json.modes || json.folders || [];
           return flattenItemsFromGroups(groups, gk);
-        } catch {
+        } catch (err) {
+          firstError ||= err;
           return [];
         }
       });
       if (mySeq !== loadSeq) return;
+      // One missing gamemode is tolerable; all of them failing is an error.
+      if (firstError && results.every((r) => !r.length)) throw firstError;
+      state.stale = stale;
 
       state.data = { game: { key: "all" } };
       state.items = results.flat();
@@ -562,6 +608,7 @@ async function loadDataAndRender() {
     const json = await fetchMaps(state.game);
     if (mySeq !== loadSeq) return;
     state.data = json;
+    state.stale = !!json.stale;
 
     if (json?.game?.key) state.game = slugify(json.game.key);
 
@@ -580,6 +627,13 @@ async function loadDataAndRender() {
     renderModeChips(groups);
     state.items = flattenItemsFromGroups(groups, state.game);
     applyFiltersAndRenderGrid();
+  } catch (err) {
+    if (mySeq !== loadSeq) return;
+    console.error(err);
+    state.items = [];
+    state.filtered = [];
+    els.count.textContent = "failed to load";
+    renderGridError(els.grid, err, () => loadDataAndRender());
   } finally {
     if (mySeq === loadSeq) showGridLoading(false);
   }
@@ -587,6 +641,7 @@ async function loadDataAndRender() {
 
 (async function init() {
   initMobileNav();
+  initNewsBanner();
 
   if (!state.game) {
     state.game = "bedwars";
@@ -597,7 +652,9 @@ async function loadDataAndRender() {
     state.game = slugify(getUrlParam("game", "bedwars"));
     state.mode = String(getUrlParam("mode", "all") || "all").toLowerCase();
     state.q = getUrlParam("q", "");
+    state.scope = getUrlParam("scope", "") === "all" ? "all" : "game";
     els.search.value = state.q;
+    renderSearchScope();
     await loadDataAndRender();
   });
 
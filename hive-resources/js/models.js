@@ -1,6 +1,9 @@
-import { fetchModels, fileDownloadUrl, fileViewUrl } from "./api.js";
-import { qs, debounce, setUrlParam, getUrlParam, copyToClipboard, titleCase, initMobileNav } from "./ui.js";
-import { CardPreview, ModalPreview } from "./preview3d.js";
+import { fetchModels, fetchGames, searchCatalog, fetchLinkSignature, fetchModelInfo, fileDownloadUrl, fileViewUrl, zipDownloadUrl, packDownloadUrl } from "./api.js";
+import { initNewsBanner } from "./news.js";
+import { qs, debounce, setUrlParam, getUrlParam, copyToClipboard, titleCase, initMobileNav, renderGridError } from "./ui.js";
+import { CardPreview, ModalPreview, loadShadingPreference, saveShadingPreference, webmSupported } from "./preview3d.js";
+import { sceneToBBModel } from "./bbmodel.js";
+import { exportScene, EXPORT_FORMATS } from "./exporters.js";
 
 // Keep WebGL contexts under the browser limit (prevents "Too many active WebGL contexts")
 // Slightly higher than before so most screens can fill the visible grid.
@@ -13,6 +16,7 @@ const els = {
   gameChips: qs("#gameChips"),
   folderChips: qs("#folderChips"),
   search: qs("#searchInput"),
+  searchScope: qs("#searchScope"),
   count: qs("#countLabel"),
   grid: qs("#grid"),
 
@@ -24,7 +28,37 @@ const els = {
   modalName: qs("#modalName"),
   modalPath: qs("#modalPath"),
   modalDownload: qs("#modalDownload"),
+  modalDownloadGlb: qs("#modalDownloadGlb"),
+  shadingPresets: qs("#shadingPresets"),
+  viewModes: qs("#viewModes"),
+  modalAnim: qs("#modalAnim"),
+  animClip: qs("#animClip"),
+  animPlay: qs("#animPlay"),
+  animLoop: qs("#animLoop"),
+  animSpeed: qs("#animSpeed"),
+  animScrub: qs("#animScrub"),
+  animTime: qs("#animTime"),
+  modalExport: qs("#modalExport"),
+  modalExportMenu: qs("#modalExportMenu"),
+  modalRender: qs("#modalRender"),
+  renderPanel: qs("#renderPanel"),
+  renderSize: qs("#renderSize"),
+  renderBackground: qs("#renderBackground"),
+  renderColor: qs("#renderColor"),
+  renderSupersample: qs("#renderSupersample"),
+  renderGo: qs("#renderGo"),
+  renderNote: qs("#renderNote"),
+  modalTurntable: qs("#modalTurntable"),
+  turntablePanel: qs("#turntablePanel"),
+  turntableFormat: qs("#turntableFormat"),
+  turntableSize: qs("#turntableSize"),
+  turntableFps: qs("#turntableFps"),
+  turntableSeconds: qs("#turntableSeconds"),
+  turntableBackground: qs("#turntableBackground"),
+  turntableColor: qs("#turntableColor"),
+  turntableGo: qs("#turntableGo"),
   modalCopy: qs("#modalCopy"),
+  modalStats: qs("#modalStats"),
 };
 
 const state = {
@@ -32,14 +66,21 @@ const state = {
   game: slugify(getUrlParam("game", "")),
   folder: String(getUrlParam("folder", "all") || "all").toLowerCase(),
   q: getUrlParam("q", ""),
+  // "game" filters the loaded gamemode locally; "all" asks /api/search.
+  scope: getUrlParam("scope", "") === "all" ? "all" : "game",
   data: null,
   groups: [],
   items: [],
   filtered: [],
+  // True when the API answered from its last good copy (Drive is failing).
+  stale: false,
   lastFocus: null,
+  // Shading preset for the modal and the cards (URL param, else the saved choice).
+  shading: loadShadingPreference(),
 };
 
 const modalPreview = new ModalPreview(els.modalViewer);
+modalPreview.shading = state.shading;
 
 // per-card preview instances
 const previewByCard = new Map();
@@ -47,6 +88,11 @@ const visibleCards = new Set();
 let pumpRaf = 0;
 let io = null;
 
+// cross-game search requests (latest wins)
+let searchSeq = 0;
+// Bumped per modal open so late /api/model-info answers are dropped.
+let modalSeq = 0;
+
 // grid loading (game/folder load)
 let gridLoadingEl = null;
 let gridLoadingStop = null;
@@ -84,12 +130,17 @@ function makeChip({ label, active, onClick, extraClass = "" }) {
 }
 
 async function loadGameListIfNeeded() {
-  const provided = window.__HIVE_GAMES;
-  if (Array.isArray(provided) && provided.length) {
-    state.games = provided.map(x => ({ key: slugify(x), label: normalizeGameLabel(x) }));
-    return;
+  if (state.games.length) return;
+  try {
+    const games = await fetchGames("models");
+    state.games = games
+      .map((g) => ({ key: slugify(g.key), label: String(g.label || normalizeGameLabel(g.key)).toUpperCase() }))
+      .filter((g) => g.key);
+  } catch (err) {
+    // Chips fall back to the current game only.
+    console.error(err);
+    state.games = [];
   }
-  state.games = [];
 }
 
 function renderGameChips() {
@@ -159,6 +210,21 @@ function renderFolderChips(groups) {
       }
     }));
   }
+
+  // Streams a ZIP of everything in the selected folder.
+  els.folderChips.appendChild(makeChip({
+    label: "DOWNLOAD ALL",
+    active: false,
+    extraClass: "chip--action",
+    onClick: () => {
+      const a = document.createElement("a");
+      a.href = zipDownloadUrl("models", state.game, state.folder);
+      a.download = "";
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+    }
+  }));
 }
 
 function flattenItemsFromGroups(groups) {
@@ -234,6 +300,13 @@ function flattenItemsFromGroups(groups) {
 
 function applyFiltersAndRenderGrid() {
   const q = (state.q || "").trim().toLowerCase();
+  // Invalidate any in-flight cross-game search.
+  const mySearch = ++searchSeq;
+  if (state.scope === "all" && q) {
+    runGlobalSearch(q, mySearch);
+    return;
+  }
+
   const folder = (state.folder || "all").toLowerCase();
 
   const items = state.items.filter((it) => {
@@ -250,10 +323,50 @@ function applyFiltersAndRenderGrid() {
   });
 
   state.filtered = items;
-  els.count.textContent = `${items.length} shown`;
+  els.count.textContent = `${items.length} shown${state.stale ? " (cached)" : ""}`;
   renderGrid(items);
 }
 
+async function runGlobalSearch(q, mySearch) {
+  els.count.textContent = "searching…";
+  try {
+    const res = await searchCatalog(q, { type: "models", limit: 200 });
+    if (mySearch !== searchSeq) return;
+    const items = (res.hits || []).map((h) => ({
+      name: h.name,
+      modelId: h.fileId,
+      relPath: h.path || h.folder.label || "",
+      folderKey: h.folder.key,
+      folderLabel: h.folder.label || "",
+      gameKey: h.game.key,
+      ext: "gltf",
+    }));
+    state.filtered = items;
+    els.count.textContent = `${items.length} shown (all games)`;
+    renderGrid(items);
+  } catch (err) {
+    if (mySearch !== searchSeq) return;
+    console.error(err);
+    els.count.textContent = "search failed";
+    renderGridError(els.grid, err, () => applyFiltersAndRenderGrid());
+  }
+}
+
+function renderSearchScope() {
+  els.searchScope.classList.toggle("is-active", state.scope === "all");
+  els.searchScope.setAttribute("aria-pressed", String(state.scope === "all"));
+}
+
+// Flags models with baked animations (only known once the card preview has loaded them).
+function markAnimated(card, preview) {
+  if (!preview.animations?.length || card.querySelector(".badge--animated")) return;
+  const badge = document.createElement("span");
+  badge.className = "badge badge--animated";
+  badge.textContent = "ANIMATED";
+  badge.title = `${preview.animations.length} animation${preview.animations.length === 1 ? "" : "s"}`;
+  card.querySelector(".card__top")?.appendChild(badge);
+}
+
 function startDotLoader(el, baseText) {
   if (!el) return () => {};
   let n = 0;
@@ -351,7 +464,7 @@ function renderGrid(items) {
 
     const path = document.createElement("div");
     path.className = "card__path";
-    path.textContent = buildPathText(state.game, it.relPath || it.folderLabel || "");
+    path.textContent = buildPathText(it.gameKey || state.game, it.relPath || it.folderLabel || "");
 
     meta.appendChild(nameRow);
     meta.appendChild(path);
@@ -381,11 +494,12 @@ function renderGrid(items) {
       if (card._phStop) card._phStop();
       card._phStop = startDotLoader(ph, "LOADING");
 
-      const preview = new CardPreview(viewer);
+      const preview = new CardPreview(viewer, { shading: state.shading });
       previewByCard.set(card, preview);
 
       try {
         await preview.init(dl);
+        markAnimated(card, preview);
         if (card._phStop) card._phStop();
         card._phStop = null;
         ph.style.display = "none";
@@ -528,10 +642,11 @@ function pumpVisiblePreviews() {
       card._phStop = startDotLoader(ph, "LOADING");
     }
 
-    const preview = new CardPreview(viewer);
+    const preview = new CardPreview(viewer, { shading: state.shading });
     previewByCard.set(card, preview);
 
     preview.init(modelUrl).then(() => {
+      markAnimated(card, preview);
       if (card._phStop) card._phStop();
       card._phStop = null;
       if (ph) ph.style.display = "none";
@@ -565,7 +680,7 @@ async function openModal(it) {
   const view = fileViewUrl(it.modelId);
 
   els.modalName.textContent = it.name;
-  els.modalPath.textContent = buildPathText(state.game, it.relPath || it.folderLabel || "");
+  els.modalPath.textContent = buildPathText(it.gameKey || state.game, it.relPath || it.folderLabel || "");
 
   els.modalDownload.href = dl;
   els.modalDownload.download = filename;
@@ -575,16 +690,46 @@ async function openModal(it) {
     await downloadViaFetch(dl, filename);
   };
 
+  // Packed GLB: one file with every buffer/texture inlined (handy for Blender).
+  const glbName = `${baseName}.glb`;
+  const glbUrl = packDownloadUrl(it.modelId, glbName);
+  els.modalDownloadGlb.href = glbUrl;
+  els.modalDownloadGlb.download = glbName;
+  els.modalDownloadGlb.onclick = async (ev) => {
+    ev.preventDefault();
+    ev.stopPropagation();
+    await downloadViaFetch(glbUrl, glbName);
+  };
+
+  // Exports are built from the scene the preview loaded, so they wait for it.
+  closeMenus();
+  els.modalExport.disabled = true;
+  els.modalExport.textContent = "EXPORT ▾";
+  els.modalRender.disabled = true;
+  els.modalTurntable.disabled = true;
+  els.modalAnim.hidden = true;
+  modalBaseName = baseName;
+
   els.modalCopy.onclick = async () => {
-    const absolute = new URL(dl, window.location.origin).href;
+    // Shared links are signed and expire; fall back to the plain link if signing is off.
+    let signature = null;
+    try { signature = await fetchLinkSignature(it.modelId); } catch {}
+    const link = signature ? fileDownloadUrl(it.modelId, baseName, "gltf", signature) : dl;
+    const absolute = new URL(link, window.location.origin).href;
     await copyToClipboard(absolute);
     els.modalCopy.textContent = "COPIED!";
     setTimeout(() => (els.modalCopy.textContent = "COPY LINK"), 900);
   };
 
+  loadModelStats(it.modelId, ++modalSeq);
+
   try {
     await modalPreview.open(view);
     els.modalLoading.style.display = "none";
+    els.modalExport.disabled = false;
+    els.modalRender.disabled = false;
+    els.modalTurntable.disabled = false;
+    setupAnimationControls();
   } catch (err) {
     console.error(err);
     els.modalLoading.style.display = "flex";
@@ -594,19 +739,359 @@ async function openModal(it) {
   }
 }
 
+function formatBytes(n) {
+  if (!Number.isFinite(n)) return "?";
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatCount(n) {
+  return Number(n || 0).toLocaleString("en-US");
+}
+
+function statsRow(label, items) {
+  const row = document.createElement("div");
+  row.className = "modal__statsRow";
+  const head = document.createElement("span");
+  head.className = "modal__statsLabel";
+  head.textContent = label;
+  row.appendChild(head);
+  for (const text of items) {
+    const tag = document.createElement("span");
+    tag.className = "modal__stat";
+    tag.textContent = text;
+    row.appendChild(tag);
+  }
+  return row;
+}
+
+async function loadModelStats(modelId, mySeq) {
+  const box = els.modalStats;
+  if (!box) return;
+  box.textContent = "LOADING STATS…";
+
+  let info;
+  try {
+    info = await fetchModelInfo(modelId);
+  } catch (err) {
+    if (mySeq !== modalSeq) return;
+    console.error(err);
+    box.textContent = "";
+    return;
+  }
+  if (mySeq !== modalSeq) return;
+
+  box.textContent = "";
+  const summary = [
+    `${formatCount(info.triangles)} TRIS`,
+    `${formatCount(info.vertices)} VERTS`,
+    `${formatCount(info.counts.meshes)} MESHES`,
+    `${formatCount(info.counts.nodes)} NODES`,
+    formatBytes(info.fileSize),
+  ];
+  if (info.boundingBox) summary.push(`${info.boundingBox.size.map((v) => +v.toFixed(2)).join(" × ")} UNITS`);
+  box.appendChild(statsRow("MODEL", summary));
+
+  box.appendChild(statsRow("RIG", info.rigged
+    ? info.skins.map((sk) => `${sk.name} · ${sk.bones} BONES`)
+    : ["NOT RIGGED"]));
+
+  box.appendChild(statsRow("ANIMATIONS", info.animated
+    ? info.animations.map((a) => `${a.name} · ${a.duration.toFixed(2)}S`)
+    : ["NONE"]));
+
+  if (info.textures.length) {
+    box.appendChild(statsRow("TEXTURES", info.textures.map((t) => {
+      const dims = t.width && t.height ? `${t.width}×${t.height}` : "?";
+      return `${t.name} · ${dims}`;
+    })));
+  }
+}
+
+// --- Shading presets ---
+
+function renderShadingChips() {
+  for (const c of els.shadingPresets.querySelectorAll("[data-shading]")) {
+    const on = c.dataset.shading === state.shading;
+    c.classList.toggle("is-active", on);
+    c.setAttribute("aria-pressed", String(on));
+  }
+}
+
+function applyShading(preset) {
+  state.shading = preset;
+  modalPreview.setShading(preset);
+  for (const preview of previewByCard.values()) preview.setShading(preset);
+  renderShadingChips();
+}
+
+els.shadingPresets.addEventListener("click", (e) => {
+  const chip = e.target.closest("[data-shading]");
+  if (!chip || chip.dataset.shading === state.shading) return;
+  applyShading(chip.dataset.shading);
+  saveShadingPreference(state.shading);
+  setUrlParam("shading", state.shading === "unlit" ? "" : state.shading);
+});
+renderShadingChips();
+
+// --- View modes ---
+
+els.viewModes.addEventListener("click", (e) => {
+  const chip = e.target.closest("[data-mode]");
+  if (!chip) return;
+  modalPreview.setViewMode(chip.dataset.mode);
+  for (const c of els.viewModes.querySelectorAll("[data-mode]")) {
+    const on = c.dataset.mode === modalPreview.viewMode;
+    c.classList.toggle("is-active", on);
+    c.setAttribute("aria-pressed", String(on));
+  }
+});
+
+// --- Animation playback ---
+
+function syncAnimationControls() {
+  const duration = modalPreview.animationDuration;
+  const time = modalPreview.animationTime;
+  els.animPlay.textContent = modalPreview.animationPlaying ? "PAUSE" : "PLAY";
+  els.animScrub.max = String(duration || 1);
+  els.animScrub.value = String(time);
+  els.animTime.textContent = `${time.toFixed(2)} / ${duration.toFixed(2)}s`;
+}
+
+function setupAnimationControls() {
+  const clips = modalPreview.animations;
+  els.modalAnim.hidden = !clips.length;
+  modalPreview.onFrame = clips.length ? syncAnimationControls : null;
+  if (!clips.length) return;
+
+  els.animClip.replaceChildren(...clips.map((clip, i) => {
+    const opt = document.createElement("option");
+    opt.value = String(i);
+    opt.textContent = clip.name || `Animation ${i + 1}`;
+    return opt;
+  }));
+  els.animClip.disabled = clips.length < 2;
+
+  modalPreview.setAnimationLoop(els.animLoop.getAttribute("aria-pressed") === "true");
+  modalPreview.setAnimationSpeed(Number(els.animSpeed.value) || 1);
+  modalPreview.selectAnimation(0);
+  syncAnimationControls();
+}
+
+els.animClip.addEventListener("change", () => {
+  const playing = modalPreview.animationPlaying;
+  modalPreview.selectAnimation(Number(els.animClip.value));
+  if (playing) modalPreview.setAnimationPlaying(true);
+  syncAnimationControls();
+});
+els.animPlay.addEventListener("click", () => {
+  modalPreview.setAnimationPlaying(!modalPreview.animationPlaying);
+  syncAnimationControls();
+});
+els.animLoop.addEventListener("click", () => {
+  const loop = els.animLoop.getAttribute("aria-pressed") !== "true";
+  els.animLoop.setAttribute("aria-pressed", String(loop));
+  els.animLoop.classList.toggle("is-active", loop);
+  modalPreview.setAnimationLoop(loop);
+});
+els.animSpeed.addEventListener("change", () => {
+  modalPreview.setAnimationSpeed(Number(els.animSpeed.value) || 1);
+});
+els.animScrub.addEventListener("input", () => {
+  // Scrubbing pauses; PLAY carries on from the new position.
+  modalPreview.setAnimationPlaying(false);
+  modalPreview.seekAnimation(Number(els.animScrub.value));
+  syncAnimationControls();
+});
+
+// Slug of the asset in the modal; names exports and renders.
+let modalBaseName = "model";
+
+// Modal dropdowns: [toggle button, panel].
+const modalMenus = [
+  [els.modalExport, els.modalExportMenu],
+  [els.modalRender, els.renderPanel],
+  [els.modalTurntable, els.turntablePanel],
+];
+
+function setMenu(button, panel, open) {
+  panel.hidden = !open;
+  button.setAttribute("aria-expanded", String(open));
+}
+
+function closeMenus() {
+  for (const [button, panel] of modalMenus) setMenu(button, panel, false);
+}
+
+for (const [button, panel] of modalMenus) {
+  button.addEventListener("click", () => {
+    const open = panel.hidden;
+    closeMenus();
+    setMenu(button, panel, open);
+  });
+}
+document.addEventListener("click", (e) => {
+  for (const [button, panel] of modalMenus) {
+    if (!panel.hidden && !button.parentElement.contains(e.target)) setMenu(button, panel, false);
+  }
+});
+
+async function exportModel(format) {
+  const root = modalPreview.root;
+  if (!root) return;
+  const baseName = modalBaseName;
+  closeMenus();
+  els.modalExport.disabled = true;
+  els.modalExport.textContent = "EXPORTING…";
+  // Exports read the loaded materials, not the debug ones.
+  const viewMode = modalPreview.viewMode;
+  modalPreview.setViewMode("textured");
+  try {
+    if (format === "bbmodel") {
+      // Blockbench gets the rest pose, not whatever frame is playing.
+      const project = modalPreview.withRestPose(() => sceneToBBModel(root, { name: baseName }));
+      downloadBlob(new Blob([JSON.stringify(project)], { type: "application/json" }), `${baseName}.bbmodel`);
+    } else {
+      const blob = await exportScene(root, format, { baseName });
+      downloadBlob(blob, `${baseName}.${EXPORT_FORMATS[format].ext}`);
+    }
+    els.modalExport.textContent = "EXPORT ▾";
+  } catch (err) {
+    console.error(err);
+    els.modalExport.textContent = "EXPORT FAILED";
+    setTimeout(() => (els.modalExport.textContent = "EXPORT ▾"), 1500);
+  } finally {
+    // The modal may have moved on to another model (or closed) meanwhile.
+    els.modalExport.disabled = modalPreview.root !== root;
+    modalPreview.setViewMode(viewMode);
+  }
+}
+
+els.modalExportMenu.addEventListener("click", (e) => {
+  const item = e.target.closest("[data-format]");
+  if (item) exportModel(item.dataset.format);
+});
+
+// --- Render PNG ---
+
+function renderSize() {
+  const value = els.renderSize.value;
+  if (value !== "viewer") {
+    const [width, height] = value.split("x").map(Number);
+    return { width, height };
+  }
+  // The modal viewer as it is on screen, at device resolution.
+  const dpr = window.devicePixelRatio || 1;
+  return {
+    width: Math.round((els.modalViewer.clientWidth || 1) * dpr),
+    height: Math.round((els.modalViewer.clientHeight || 1) * dpr),
+  };
+}
+
+async function renderPng() {
+  if (!modalPreview.root) return;
+  const baseName = modalBaseName;
+  closeMenus();
+  els.modalRender.disabled = true;
+  els.modalRender.textContent = "RENDERING…";
+  try {
+    const requested = Number(els.renderSupersample.value) || 1;
+    const { blob, supersample } = await modalPreview.renderImage({
+      ...renderSize(),
+      supersample: requested,
+      background: els.renderBackground.value === "solid" ? els.renderColor.value : null,
+    });
+    downloadBlob(blob, `${baseName}.png`);
+    const used = `${Number(supersample.toFixed(2))}×`;
+    els.renderNote.textContent =
+      supersample < requested ? `RENDERED AT ${used} SUPERSAMPLING (GPU LIMIT)` : `RENDERED AT ${used} SUPERSAMPLING`;
+    els.renderNote.hidden = false;
+    els.modalRender.textContent = "RENDER PNG ▾";
+  } catch (err) {
+    console.error(err);
+    els.modalRender.textContent = "RENDER FAILED";
+    setTimeout(() => (els.modalRender.textContent = "RENDER PNG ▾"), 1500);
+  } finally {
+    els.modalRender.disabled = !modalPreview.root;
+  }
+}
+
+els.renderBackground.addEventListener("change", () => {
+  els.renderColor.disabled = els.renderBackground.value !== "solid";
+});
+els.renderGo.addEventListener("click", renderPng);
+
+// --- Turntable ---
+
+// GIF frames are all held in memory before encoding, so keep those small.
+function syncTurntableOptions() {
+  const gif = els.turntableFormat.value === "gif";
+  for (const opt of els.turntableSize.querySelectorAll("[data-video-only]")) opt.disabled = gif;
+  if (els.turntableSize.selectedOptions[0]?.disabled) els.turntableSize.value = "480";
+  els.turntableColor.disabled = els.turntableBackground.value !== "solid";
+}
+
+async function recordTurntable() {
+  if (!modalPreview.root) return;
+  const baseName = modalBaseName;
+  const format = els.turntableFormat.value;
+  const size = Number(els.turntableSize.value) || 480;
+  const fps = Number(els.turntableFps.value) || 24;
+  closeMenus();
+  els.modalTurntable.disabled = true;
+  els.modalTurntable.textContent = "RECORDING 0%";
+  try {
+    const blob = await modalPreview.recordTurntable({
+      width: size,
+      height: size,
+      fps,
+      frames: Math.round(fps * (Number(els.turntableSeconds.value) || 5)),
+      format,
+      background: els.turntableBackground.value === "solid" ? els.turntableColor.value : null,
+      onProgress: (f) => (els.modalTurntable.textContent = `RECORDING ${Math.round(f * 100)}%`),
+    });
+    downloadBlob(blob, `${baseName}-turntable.${format}`);
+    els.modalTurntable.textContent = "TURNTABLE ▾";
+  } catch (err) {
+    console.error(err);
+    els.modalTurntable.textContent = "RECORD FAILED";
+    setTimeout(() => (els.modalTurntable.textContent = "TURNTABLE ▾"), 1500);
+  } finally {
+    els.modalTurntable.disabled = !modalPreview.root;
+  }
+}
+
+if (!webmSupported()) {
+  els.turntableFormat.querySelector('[value="webm"]').disabled = true;
+  els.turntableFormat.value = "gif";
+}
+els.turntableFormat.addEventListener("change", syncTurntableOptions);
+els.turntableBackground.addEventListener("change", syncTurntableOptions);
+els.turntableGo.addEventListener("click", recordTurntable);
+syncTurntableOptions();
+
 function closeModal() {
   // Restore focus BEFORE hiding the modal (prevents aria-hidden focus warnings)
   try { state.lastFocus?.focus?.(); } catch {}
   els.modal.classList.remove("is-open");
   els.modal.setAttribute("aria-hidden", "true");
   els.modalLoading.style.display = "flex";
+  modalSeq++;
+  if (els.modalStats) els.modalStats.textContent = "";
+  closeMenus();
+  els.modalAnim.hidden = true;
+  modalPreview.onFrame = null;
   modalPreview.close();
 }
 
 els.modalBackdrop.addEventListener("click", closeModal);
 els.modalClose.addEventListener("click", closeModal);
 window.addEventListener("keydown", (e) => {
-  if (e.key === "Escape" && els.modal.classList.contains("is-open")) closeModal();
+  if (e.key !== "Escape" || !els.modal.classList.contains("is-open")) return;
+  // First Escape closes an open dropdown, the next one the modal.
+  if (modalMenus.some(([, panel]) => !panel.hidden)) closeMenus();
+  else closeModal();
 });
 
 // Search wiring
@@ -617,12 +1102,21 @@ els.search.addEventListener("input", debounce(() => {
   applyFiltersAndRenderGrid();
 }, 120));
 
+renderSearchScope();
+els.searchScope.addEventListener("click", () => {
+  state.scope = state.scope === "all" ? "game" : "all";
+  setUrlParam("scope", state.scope === "all" ? "all" : "");
+  renderSearchScope();
+  applyFiltersAndRenderGrid();
+});
+
 async function loadDataAndRender() {
   showGridLoading(true);
 
   try {
     const json = await fetchModels(state.game);
     state.data = json;
+    state.stale = !!json.stale;
 
     if (json?.game?.key) state.game = json.game.key;
 
@@ -656,6 +1150,12 @@ async function loadDataAndRender() {
     renderFolderChips(groups);
     state.items = flattenItemsFromGroups(groups);
     applyFiltersAndRenderGrid();
+  } catch (err) {
+    console.error(err);
+    state.items = [];
+    state.filtered = [];
+    els.count.textContent = "failed to load";
+    renderGridError(els.grid, err, () => loadDataAndRender());
   } finally {
     showGridLoading(false);
   }
@@ -664,6 +1164,7 @@ async function loadDataAndRender() {
 // Init
 (async function init() {
   initMobileNav();
+  initNewsBanner();
 
   if (!state.game) {
     state.game = "bedwars";
@@ -674,7 +1175,11 @@ async function loadDataAndRender() {
     state.game = slugify(getUrlParam("game", "bedwars"));
     state.folder = String(getUrlParam("folder", "all") || "all").toLowerCase();
     state.q = getUrlParam("q", "");
+    state.scope = getUrlParam("scope", "") === "all" ? "all" : "game";
+    const shading = loadShadingPreference();
+    if (shading !== state.shading) applyShading(shading);
     els.search.value = state.q;
+    renderSearchScope();
     await loadDataAndRender();
   });
 
@@ -684,7 +1189,10 @@ async function loadDataAndRender() {
 async function downloadViaFetch(url, filename) {
   const res = await fetch(url);
   if (!res.ok) throw new Error(`Download failed: ${res.status}`);
-  const blob = await res.blob();
+  downloadBlob(await res.blob(), filename);
+}
+
+function downloadBlob(blob, filename) {
   const objectUrl = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = objectUrl;
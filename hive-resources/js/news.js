@@ -0,0 +1,242 @@
+// News entries from /hive-resources/latest.json:
+//
+//   { "entries": [{ "id", "date", "title", "body",
+//                   "links": [{ "label", "type": "models|maps", "game", "folder" } | { "label", "href" }],
+//                   "image" }] }
+//
+// The home page renders them as a paginated panel (each entry has a
+// #news-<id> permalink); the models and maps pages show a banner for an entry
+// that's newer than the visitor's last visit until it's dismissed.
+
+const NEWS_URL = "/hive-resources/latest.json";
+const PAGE_SIZE = 3;
+const LAST_VISIT_KEY = "hive:lastVisit";
+
+function entryTime(entry) {
+  const t = Date.parse(entry?.date || "");
+  return Number.isFinite(t) ? t : 0;
+}
+
+function normalizeEntry(raw, i) {
+  if (!raw || typeof raw !== "object") return null;
+  const title = String(raw.title || "").trim();
+  const body = String(raw.body || raw.text || "").trim();
+  if (!title && !body) return null;
+  return {
+    id: String(raw.id || `entry-${i + 1}`).toLowerCase().replace(/[^a-z0-9-]+/g, "-"),
+    date: raw.date || "",
+    title,
+    body,
+    links: Array.isArray(raw.links) ? raw.links.filter((l) => l && (l.href || l.game)) : [],
+    image: raw.image || "",
+  };
+}
+
+// Newest first. The old `{ "text" }` shape still works as a single entry.
+export async function loadNews() {
+  const res = await fetch(NEWS_URL, { cache: "no-store" });
+  if (!res.ok) return [];
+  const data = await res.json();
+  const raw = Array.isArray(data?.entries) ? data.entries : data?.text ? [{ id: "latest", body: data.text }] : [];
+  return raw
+    .map(normalizeEntry)
+    .filter(Boolean)
+    .sort((a, b) => entryTime(b) - entryTime(a));
+}
+
+export function newsPermalink(entry) {
+  return `/hive-resources/#news-${entry.id}`;
+}
+
+// A link to a game (and optionally one folder/mode) on the models or maps page.
+function linkHref(link) {
+  if (link.href) return link.href;
+  const type = link.type === "maps" ? "maps" : "models";
+  const params = new URLSearchParams({ game: link.game });
+  if (link.folder) params.set(type === "maps" ? "mode" : "folder", String(link.folder).toLowerCase());
+  return `/hive-resources/${type}/?${params}`;
+}
+
+function formatDate(entry) {
+  const t = entryTime(entry);
+  // Entry dates are calendar days; render them as such in any timezone.
+  return t ? new Date(t).toLocaleDateString(undefined, { timeZone: "UTC", year: "numeric", month: "short", day: "numeric" }) : "";
+}
+
+function renderEntry(entry) {
+  const article = document.createElement("article");
+  article.className = "news__entry";
+  article.id = `news-${entry.id}`;
+
+  const head = document.createElement("div");
+  head.className = "news__head";
+  const title = document.createElement("h2");
+  title.className = "news__title";
+  title.textContent = entry.title || entry.body;
+  const date = document.createElement("a");
+  date.className = "news__date";
+  date.href = `#news-${entry.id}`;
+  date.title = "Permalink";
+  date.textContent = formatDate(entry) || "#";
+  head.append(title, date);
+  article.appendChild(head);
+
+  if (entry.image) {
+    const img = document.createElement("img");
+    img.className = "news__image";
+    img.src = entry.image;
+    img.alt = "";
+    img.loading = "lazy";
+    article.appendChild(img);
+  }
+
+  if (entry.title && entry.body) {
+    const body = document.createElement("p");
+    body.className = "news__body";
+    body.textContent = entry.body;
+    article.appendChild(body);
+  }
+
+  if (entry.links.length) {
+    const links = document.createElement("div");
+    links.className = "news__links";
+    for (const link of entry.links) {
+      const a = document.createElement("a");
+      a.className = "chip";
+      a.href = linkHref(link);
+      a.textContent = String(link.label || link.game).toUpperCase();
+      links.appendChild(a);
+    }
+    article.appendChild(links);
+  }
+  return article;
+}
+
+/**
+ * Paginated news panel for the home page. Opening a #news-<id> permalink
+ * jumps to the page holding that entry.
+ */
+export async function initNewsPanel() {
+  const box = document.querySelector("[data-news]");
+  const pager = document.querySelector("[data-news-pager]");
+  if (!box) return;
+
+  let entries = [];
+  try {
+    entries = await loadNews();
+  } catch {
+    // handled below
+  }
+  if (!entries.length) {
+    box.textContent = "No news yet.";
+    return;
+  }
+
+  const pages = Math.ceil(entries.length / PAGE_SIZE);
+  let page = 0;
+
+  const prev = document.createElement("button");
+  prev.className = "chip";
+  prev.type = "button";
+  prev.textContent = "NEWER";
+  const label = document.createElement("span");
+  label.className = "news__page";
+  const next = document.createElement("button");
+  next.className = "chip";
+  next.type = "button";
+  next.textContent = "OLDER";
+
+  const render = () => {
+    box.replaceChildren(...entries.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE).map(renderEntry));
+    label.textContent = `PAGE ${page + 1} / ${pages}`;
+    prev.disabled = page === 0;
+    next.disabled = page >= pages - 1;
+  };
+
+  prev.addEventListener("click", () => {
+    page = Math.max(0, page - 1);
+    render();
+  });
+  next.addEventListener("click", () => {
+    page = Math.min(pages - 1, page + 1);
+    render();
+  });
+  if (pager && pages > 1) {
+    pager.replaceChildren(prev, label, next);
+    pager.hidden = false;
+  }
+
+  const showPermalink = () => {
+    const id = decodeURIComponent(location.hash.replace(/^#news-/, ""));
+    const index = location.hash.startsWith("#news-") ? entries.findIndex((e) => e.id === id) : -1;
+    if (index < 0) return;
+    page = Math.floor(index / PAGE_SIZE);
+    render();
+    const el = document.getElementById(`news-${id}`);
+    el?.classList.add("is-highlighted");
+    el?.scrollIntoView({ block: "center" });
+  };
+
+  render();
+  showPermalink();
+  window.addEventListener("hashchange", showPermalink);
+}
+
+function readLastVisit() {
+  try {
+    return Date.parse(localStorage.getItem(LAST_VISIT_KEY) || "");
+  } catch {
+    return NaN;
+  }
+}
+
+function rememberVisit() {
+  try {
+    localStorage.setItem(LAST_VISIT_KEY, new Date().toISOString());
+  } catch {}
+}
+
+/**
+ * Banner on the models/maps pages for the newest entry when it's newer than
+ * the last visit. The visit is only recorded once the banner is dismissed
+ * (or when there's nothing new), so it follows the visitor between pages.
+ */
+export async function initNewsBanner() {
+  const banner = document.getElementById("newsBanner");
+  if (!banner) return;
+
+  const lastVisit = readLastVisit();
+  // First visit: nothing is "new" yet.
+  if (!Number.isFinite(lastVisit)) {
+    rememberVisit();
+    return;
+  }
+
+  let newest = null;
+  try {
+    [newest] = await loadNews();
+  } catch {}
+  if (!newest || entryTime(newest) <= lastVisit) {
+    rememberVisit();
+    return;
+  }
+
+  const text = document.createElement("a");
+  text.className = "news-banner__text";
+  text.href = newsPermalink(newest);
+  text.textContent = `NEW: ${newest.title || newest.body}`;
+  text.addEventListener("click", rememberVisit);
+
+  const close = document.createElement("button");
+  close.className = "news-banner__close";
+  close.type = "button";
+  close.setAttribute("aria-label", "Dismiss");
+  close.textContent = "✕";
+  close.addEventListener("click", () => {
+    rememberVisit();
+    banner.hidden = true;
+  });
+
+  banner.replaceChildren(text, close);
+  banner.hidden = false;
+}
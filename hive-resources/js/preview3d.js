@@ -1,7 +1,7 @@
 // 3D preview helpers (cards + modal)
 //
 // Goals:
-// - Flat lighting (no shaded look)
+// - Flat lighting by default (no shaded look); other shading presets on request
 // - Crisp pixel textures (nearest-neighbor)
 // - Auto-center + auto-frame the model
 // - Cards are STATIC (not interactable)
@@ -11,6 +11,7 @@
 import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
 import { GLTFLoader } from "https://unpkg.com/three@0.160.0/examples/jsm/loaders/GLTFLoader.js";
 import { OrbitControls } from "https://unpkg.com/three@0.160.0/examples/jsm/controls/OrbitControls.js";
+import { encodeGif } from "./gif.js";
 
 const MAX_DPR = 2;
 
@@ -31,6 +32,35 @@ function makeRenderer(canvas) {
   return r;
 }
 
+// Renderer for frames that get read back (renders, turntables): unlike
+// makeRenderer it keeps the drawing buffer. `background` is a CSS color, or
+// null for transparent.
+function makeCaptureRenderer(canvas, background) {
+  const r = new THREE.WebGLRenderer({ canvas, alpha: true, antialias: false, preserveDrawingBuffer: true });
+  r.setPixelRatio(1);
+  if (background) r.setClearColor(new THREE.Color(background), 1);
+  else r.setClearColor(0x000000, 0);
+  r.outputColorSpace = THREE.SRGBColorSpace;
+  r.toneMapping = THREE.NoToneMapping;
+  return r;
+}
+
+function releaseRenderer(r) {
+  try { r.forceContextLoss(); } catch {}
+  try { r.dispose(); } catch {}
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// WebM flavours MediaRecorder may offer; VP9/VP8 keep the alpha channel.
+const WEBM_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+export function webmSupported() {
+  return typeof MediaRecorder !== "undefined" &&
+    typeof HTMLCanvasElement.prototype.captureStream === "function" &&
+    WEBM_TYPES.some((t) => MediaRecorder.isTypeSupported(t));
+}
+
 function disposeObject3D(root) {
   if (!root) return;
   root.traverse((obj) => {
@@ -52,42 +82,239 @@ function disposeObject3D(root) {
   });
 }
 
-function forceNearestAndUnlit(root) {
+function forceNearest(root) {
   root.traverse((obj) => {
     if (!obj.isMesh) return;
 
     const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
-    const next = [];
-
     for (const m of mats) {
-      if (!m) continue;
+      const map = m?.map || null;
+      if (!map) continue;
+      map.colorSpace = THREE.SRGBColorSpace;
+      map.magFilter = THREE.NearestFilter;
+      map.minFilter = THREE.NearestFilter;
+      map.generateMipmaps = false;
+      map.needsUpdate = true;
+    }
+  });
+}
 
-      const map = m.map || null;
-      if (map) {
-        map.colorSpace = THREE.SRGBColorSpace;
-        map.magFilter = THREE.NearestFilter;
-        map.minFilter = THREE.NearestFilter;
-        map.generateMipmaps = false;
-        map.needsUpdate = true;
-      }
+// --- Shading presets (cards + modal) ---
+
+// "unlit" is the flat look the galleries have always had.
+export const SHADING_PRESETS = ["unlit", "bedrock", "lit", "matcap"];
+const SHADING_KEY = "hive:shading";
+
+/** Preset from the `shading` URL param, else the last one picked, else unlit. */
+export function loadShadingPreference() {
+  const fromUrl = new URL(location.href).searchParams.get("shading");
+  if (SHADING_PRESETS.includes(fromUrl)) return fromUrl;
+  let saved = null;
+  try { saved = localStorage.getItem(SHADING_KEY); } catch {}
+  return SHADING_PRESETS.includes(saved) ? saved : "unlit";
+}
+
+export function saveShadingPreference(preset) {
+  try { localStorage.setItem(SHADING_KEY, preset); } catch {}
+}
+
+// The properties every preset carries over from the loaded material.
+function baseMaterialParams(m) {
+  return {
+    map: m.map || null,
+    color: m.color ?? new THREE.Color(0xffffff),
+    transparent: !!m.transparent,
+    opacity: m.opacity ?? 1,
+    alphaTest: m.alphaTest ?? 0,
+    side: m.side ?? THREE.FrontSide,
+    depthWrite: m.depthWrite ?? true,
+    vertexColors: m.vertexColors ?? false,
+  };
+}
 
-      // Unlit material => no shading
-      next.push(
-        new THREE.MeshBasicMaterial({
-          map,
-          color: m.color ?? new THREE.Color(0xffffff),
-          transparent: !!m.transparent,
-          opacity: m.opacity ?? 1,
-          alphaTest: m.alphaTest ?? 0,
-          side: m.side ?? THREE.FrontSide,
-          depthWrite: m.depthWrite ?? true,
-          vertexColors: m.vertexColors ?? false,
-        })
+// Bedrock's fixed per-face brightness (top 1, sides 0.8/0.6, bottom 0.5),
+// blended by the world normal so rotated parts still shade sensibly.
+function bedrockMaterial(m) {
+  const material = new THREE.MeshBasicMaterial(baseMaterialParams(m));
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace("#include <common>", "#include <common>\nvarying float vFaceShade;")
+      .replace(
+        "#include <begin_vertex>",
+        `#include <begin_vertex>
+        vec3 shadeNormal = mat3( modelMatrix ) * normal;
+        if ( length( shadeNormal ) > 0.0 ) {
+          shadeNormal = normalize( shadeNormal );
+          vec3 n2 = shadeNormal * shadeNormal;
+          vFaceShade = n2.x * 0.6 + n2.z * 0.8 + n2.y * ( shadeNormal.y > 0.0 ? 1.0 : 0.5 );
+        } else {
+          vFaceShade = 1.0;
+        }`
       );
+    shader.fragmentShader = shader.fragmentShader
+      .replace("#include <common>", "#include <common>\nvarying float vFaceShade;")
+      .replace("#include <color_fragment>", "#include <color_fragment>\n  diffuseColor.rgb *= vFaceShade;");
+  };
+  material.customProgramCacheKey = () => "bedrock-face-shade";
+  return material;
+}
+
+// Shared by every matcap material; a soft grey studio sphere.
+let matcapTexture = null;
+function getMatcapTexture() {
+  if (matcapTexture) return matcapTexture;
+  const size = 128;
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  const g = ctx.createRadialGradient(size * 0.38, size * 0.32, size * 0.04, size / 2, size / 2, size / 2);
+  g.addColorStop(0, "#ffffff");
+  g.addColorStop(0.45, "#c4ccd4");
+  g.addColorStop(1, "#3c424a");
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, size, size);
+  matcapTexture = new THREE.CanvasTexture(canvas);
+  matcapTexture.colorSpace = THREE.SRGBColorSpace;
+  return matcapTexture;
+}
+
+function shadeMaterial(m, preset) {
+  if (!m) return m;
+  // Lit uses the glTF's own (PBR) material as loaded.
+  if (preset === "lit") return m;
+  if (preset === "bedrock") return bedrockMaterial(m);
+  if (preset === "matcap") return new THREE.MeshMatcapMaterial({ ...baseMaterialParams(m), matcap: getMatcapTexture() });
+  return new THREE.MeshBasicMaterial(baseMaterialParams(m));
+}
+
+// Loaded materials per mesh, kept so presets can be switched back and forth.
+function captureMaterials(root) {
+  const originals = new Map();
+  root.traverse((obj) => {
+    if (obj.isMesh) originals.set(obj, obj.material);
+  });
+  return originals;
+}
+
+function disposeShaded(shaded, originals) {
+  if (!shaded) return;
+  const keep = new Set([...originals.values()].flat());
+  for (const m of new Set([...shaded.values()].flat())) {
+    // Textures are shared with the originals, so only the material goes.
+    if (m && !keep.has(m)) m.dispose();
+  }
+}
+
+/**
+ * Builds `preset` materials for every mesh in `originals` (mesh -> loaded
+ * material), disposing the ones in `previous`. Doesn't assign them.
+ */
+function shadeMaterials(originals, preset, previous) {
+  const next = new Map();
+  for (const [mesh, m] of originals) {
+    next.set(mesh, Array.isArray(m) ? m.map((x) => shadeMaterial(x, preset)) : shadeMaterial(m, preset));
+  }
+  disposeShaded(previous, originals);
+  return next;
+}
+
+// Only the "lit" preset's materials react to these.
+function addLights(scene) {
+  scene.add(new THREE.HemisphereLight(0xffffff, 0x50505a, 1.4));
+  const sun = new THREE.DirectionalLight(0xffffff, 2.2);
+  sun.position.set(3, 5, 4);
+  scene.add(sun);
+}
+
+// --- Debug view modes (ModalPreview) ---
+
+export const VIEW_MODES = ["textured", "wireframe", "skeleton", "normals", "uv"];
+
+// Small hue/lightness checker: squashed or mirrored UVs show up as stretched or
+// flipped cells. Not flipped, like glTF textures, so (0, 0) is its top left.
+function makeUvCheckerTexture() {
+  const size = 16;
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const light = (x + y) % 2 ? 38 : 62;
+      ctx.fillStyle = `hsl(${Math.round((x / size) * 300)}, 70%, ${light + (y - size / 2)}%)`;
+      ctx.fillRect(x, y, 1, 1);
     }
+  }
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.flipY = false;
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.magFilter = THREE.NearestFilter;
+  texture.minFilter = THREE.NearestFilter;
+  texture.generateMipmaps = false;
+  return texture;
+}
 
-    obj.material = Array.isArray(obj.material) ? next : next[0];
+function makeViewMaterial(mode) {
+  if (mode === "wireframe") return new THREE.MeshBasicMaterial({ color: 0x00aaff, wireframe: true });
+  if (mode === "normals") return new THREE.MeshNormalMaterial({ side: THREE.DoubleSide });
+  if (mode === "uv") return new THREE.MeshBasicMaterial({ map: makeUvCheckerTexture(), side: THREE.DoubleSide });
+  return null;
+}
+
+/**
+ * Lines from each node to its parent, drawn over the model. Hive models are
+ * mostly plain node hierarchies rather than skins, which SkeletonHelper
+ * (bones only) wouldn't show.
+ */
+class NodeHierarchyHelper extends THREE.LineSegments {
+  constructor(root) {
+    const pairs = [];
+    root.traverse((obj) => {
+      if (obj !== root && !obj.isMesh && obj.parent && obj.parent !== root) pairs.push([obj.parent, obj]);
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.Float32BufferAttribute(new Float32Array(pairs.length * 6), 3));
+    const colors = [];
+    for (let i = 0; i < pairs.length; i++) colors.push(0, 0, 1, 0, 1, 0);
+    geometry.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+
+    const material = new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false, depthWrite: false, transparent: true });
+    super(geometry, material);
+
+    this.pairs = pairs;
+    this.renderOrder = 999;
+    this.matrixAutoUpdate = false;
+  }
+
+  updateMatrixWorld(force) {
+    const pos = this.geometry.getAttribute("position");
+    const v = new THREE.Vector3();
+    this.pairs.forEach(([parent, child], i) => {
+      v.setFromMatrixPosition(parent.matrixWorld);
+      pos.setXYZ(i * 2, v.x, v.y, v.z);
+      v.setFromMatrixPosition(child.matrixWorld);
+      pos.setXYZ(i * 2 + 1, v.x, v.y, v.z);
+    });
+    pos.needsUpdate = true;
+    super.updateMatrixWorld(force);
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
+
+function makeSkeletonHelper(root) {
+  let hasBones = false;
+  root.traverse((obj) => {
+    if (obj.isBone) hasBones = true;
   });
+  const helper = hasBones ? new THREE.SkeletonHelper(root) : new NodeHierarchyHelper(root);
+  helper.renderOrder = 999;
+  return helper;
 }
 
 function computeMeshBounds(root) {
@@ -158,7 +385,7 @@ async function loadScene(url) {
   loader.setResourcePath(new URL("./", absUrl).href);
 
   const gltf = await loader.loadAsync(absUrl);
-  return gltf.scene;
+  return { scene: gltf.scene, animations: gltf.animations || [] };
 }
 
 function attachResizeObserver(container, fn) {
@@ -171,7 +398,7 @@ function attachResizeObserver(container, fn) {
  * CardPreview: static, non-interactive.
  */
 export class CardPreview {
-  constructor(container) {
+  constructor(container, { shading = "unlit" } = {}) {
     this.container = container;
     this.canvas = document.createElement("canvas");
     this.canvas.className = "previewCanvas";
@@ -180,8 +407,14 @@ export class CardPreview {
     this.scene = null;
     this.camera = null;
     this.root = null;
+    // Clips are kept so the gallery can flag animated models; cards never play them.
+    this.animations = [];
     this.ro = null;
     this.disposed = false;
+
+    this.shading = shading;
+    this._originals = new Map();
+    this._shaded = null;
   }
 
   async init(modelUrl) {
@@ -197,6 +430,7 @@ export class CardPreview {
     this.renderer = makeRenderer(this.canvas);
     this.scene = new THREE.Scene();
     this.camera = new THREE.PerspectiveCamera(35, 1, 0.01, 5000);
+    addLights(this.scene);
 
     const resize = () => {
       if (!this.renderer || !this.camera) return;
@@ -211,16 +445,29 @@ export class CardPreview {
     this.ro = attachResizeObserver(this.container, resize);
     resize();
 
-    this.root = await loadScene(modelUrl);
+    const { scene, animations } = await loadScene(modelUrl);
     if (this.disposed) return;
+    this.root = scene;
+    this.animations = animations;
 
-    forceNearestAndUnlit(this.root);
+    forceNearest(this.root);
+    this._originals = captureMaterials(this.root);
+    this.setShading(this.shading);
     this.scene.add(this.root);
     centerAndFrame(this.root, this.camera);
 
     this.renderOnce();
   }
 
+  setShading(preset) {
+    if (!SHADING_PRESETS.includes(preset)) return;
+    this.shading = preset;
+    if (!this.root) return;
+    this._shaded = shadeMaterials(this._originals, preset, this._shaded);
+    for (const [mesh, m] of this._shaded) mesh.material = m;
+    this.renderOnce();
+  }
+
   renderOnce() {
     if (!this.renderer || !this.scene || !this.camera) return;
     this.renderer.render(this.scene, this.camera);
@@ -231,6 +478,12 @@ export class CardPreview {
     try { this.ro?.disconnect(); } catch {}
     this.ro = null;
 
+    // Put the loaded materials back so disposeObject3D frees them.
+    for (const [mesh, m] of this._originals) mesh.material = m;
+    disposeShaded(this._shaded, this._originals);
+    this._shaded = null;
+    this._originals = new Map();
+
     if (this.scene && this.root) {
       this.scene.remove(this.root);
       disposeObject3D(this.root);
@@ -270,6 +523,28 @@ export class ModalPreview {
     this.raf = null;
     this.disposed = false;
     this._onContextLost = null;
+
+    // Baked glTF animations. Nothing plays until asked, so a model opens in its rest pose.
+    this.animations = [];
+    this.mixer = null;
+    this.action = null;
+    this.clock = null;
+    this.loopAnimation = true;
+    this.animationSpeed = 1;
+    // Called once per rendered frame (e.g. to move a timeline).
+    this.onFrame = null;
+
+    // One of SHADING_PRESETS; kept across opens. _originals holds the
+    // loaded materials, _baseMaterials the shaded ones for the textured view.
+    this.shading = "unlit";
+    this._originals = new Map();
+
+    // One of VIEW_MODES; kept across opens. Meshes keep their shaded
+    // materials in _baseMaterials while a debug material stands in.
+    this.viewMode = "textured";
+    this._baseMaterials = new Map();
+    this._viewMaterials = {};
+    this._helper = null;
   }
 
   async open(modelUrl) {
@@ -300,6 +575,7 @@ export class ModalPreview {
     this.renderer = makeRenderer(this.canvas);
     this.scene = new THREE.Scene();
     this.camera = new THREE.PerspectiveCamera(45, 1, 0.01, 5000);
+    addLights(this.scene);
 
     const resize = () => {
       if (!this.renderer || !this.camera) return;
@@ -318,26 +594,319 @@ export class ModalPreview {
     this.controls.dampingFactor = 0.08;
     this.controls.enablePan = false;
 
-    this.root = await loadScene(modelUrl);
+    const { scene, animations } = await loadScene(modelUrl);
     if (this.disposed) return;
+    this.root = scene;
 
-    forceNearestAndUnlit(this.root);
+    forceNearest(this.root);
+    this._originals = captureMaterials(this.root);
     this.scene.add(this.root);
     centerAndFrame(this.root, this.camera);
 
+    // Also applies the view mode.
+    this.setShading(this.shading);
+
     this.controls.target.set(0, 0, 0);
     this.controls.update();
 
+    this.animations = animations;
+    if (animations.length) {
+      this.mixer = new THREE.AnimationMixer(this.root);
+      this.mixer.timeScale = this.animationSpeed;
+    }
+    this.clock = new THREE.Clock();
+
     const tick = () => {
       if (this.disposed) return;
       this.raf = requestAnimationFrame(tick);
+      const dt = this.clock.getDelta();
+      this.mixer?.update(dt);
       this.controls?.update();
       this.renderer?.render(this.scene, this.camera);
+      this.onFrame?.();
     };
 
     tick();
   }
 
+  /**
+   * Makes clip `index` the current animation (stopped, so the model returns to
+   * its rest pose until it's played or scrubbed). Returns the clip, or null.
+   */
+  selectAnimation(index) {
+    if (!this.mixer) return null;
+    this.mixer.stopAllAction();
+    const clip = this.animations[index] || null;
+    this.action = clip ? this.mixer.clipAction(clip) : null;
+    this._applyLoop();
+    this.mixer.update(0);
+    return clip;
+  }
+
+  get animationPlaying() {
+    const action = this.action;
+    return !!action && action.enabled && !action.paused && action.isScheduled();
+  }
+
+  get animationTime() {
+    return this.action?.time || 0;
+  }
+
+  get animationDuration() {
+    return this.action?.getClip().duration || 0;
+  }
+
+  setAnimationPlaying(playing) {
+    const action = this.action;
+    if (!action) return;
+    if (!playing) {
+      action.paused = true;
+      return;
+    }
+    // A finished one-shot starts over.
+    if (!action.enabled || (!this.loopAnimation && action.time >= this.animationDuration)) action.reset();
+    action.paused = false;
+    action.play();
+  }
+
+  seekAnimation(time) {
+    const action = this.action;
+    if (!action) return;
+    if (!action.isScheduled()) {
+      action.play();
+      action.paused = true;
+    }
+    action.enabled = true;
+    action.time = Math.max(0, Math.min(this.animationDuration, time));
+    this.mixer.update(0);
+  }
+
+  /**
+   * Runs `fn` (synchronously) with the model in its rest pose, then puts the
+   * current animation back at the same time and play state. Returns what
+   * `fn` returns.
+   */
+  withRestPose(fn) {
+    const action = this.action;
+    if (!this.mixer || !action?.isScheduled()) return fn();
+    const { time, paused } = action;
+    // Stopping every action restores the bound properties' original values.
+    this.mixer.stopAllAction();
+    try {
+      return fn();
+    } finally {
+      action.play();
+      action.time = time;
+      action.paused = paused;
+      this.mixer.update(0);
+    }
+  }
+
+  setAnimationLoop(loop) {
+    this.loopAnimation = !!loop;
+    this._applyLoop();
+  }
+
+  setAnimationSpeed(speed) {
+    this.animationSpeed = speed;
+    if (this.mixer) this.mixer.timeScale = speed;
+  }
+
+  _applyLoop() {
+    if (!this.action) return;
+    this.action.setLoop(this.loopAnimation ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+    // One-shots hold their last frame instead of snapping back to rest.
+    this.action.clampWhenFinished = !this.loopAnimation;
+  }
+
+  /**
+   * Renders the current camera view at `width`×`height` on a separate
+   * offscreen renderer (makeRenderer's canvas can't be read back) and resolves
+   * to { blob, supersample }: a PNG Blob, and the supersampling factor
+   * actually used. The frame is drawn up to `supersample` times larger and
+   * scaled down for smooth edges, as far as the GPU's renderbuffer and
+   * viewport limits allow (below 1 when even the plain size is too big).
+   * `background` is a CSS color, or null for transparent.
+   */
+  async renderImage({ width, height, supersample = 1, background = null } = {}) {
+    if (!this.scene || !this.camera || !this.root) throw new Error("Nothing loaded");
+
+    const canvas = document.createElement("canvas");
+    const renderer = makeCaptureRenderer(canvas, background);
+    try {
+      // Stay inside what the GPU can allocate and draw into.
+      const gl = renderer.getContext();
+      const maxBuffer = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE) || 4096;
+      const [maxViewportW, maxViewportH] = gl.getParameter(gl.MAX_VIEWPORT_DIMS) || [maxBuffer, maxBuffer];
+      const fit = Math.min(Math.min(maxBuffer, maxViewportW) / width, Math.min(maxBuffer, maxViewportH) / height);
+      const scale = fit >= 1 ? Math.max(1, Math.min(Math.floor(supersample), Math.floor(fit))) : fit;
+      renderer.setSize(Math.floor(width * scale), Math.floor(height * scale), false);
+
+      const camera = this.camera.clone();
+      camera.aspect = width / height;
+      camera.updateProjectionMatrix();
+      renderer.render(this.scene, camera);
+
+      const out = document.createElement("canvas");
+      out.width = width;
+      out.height = height;
+      const ctx = out.getContext("2d");
+      ctx.imageSmoothingEnabled = scale !== 1;
+      ctx.imageSmoothingQuality = "high";
+      ctx.drawImage(canvas, 0, 0, width, height);
+
+      const blob = await new Promise((resolve) => out.toBlob(resolve, "image/png"));
+      if (!blob) throw new Error("PNG encoding failed");
+      return { blob, supersample: scale };
+    } finally {
+      releaseRenderer(renderer);
+    }
+  }
+
+  /**
+   * Records one full turn of the model about the vertical axis through its
+   * centre, `frames` steps at `fps`, from the current camera. Resolves to a
+   * WebM (MediaRecorder, in real time) or GIF Blob. `background` as for
+   * renderImage; GIF transparency is 1-bit. `onProgress(fraction)` reports
+   * capture and encoding.
+   */
+  async recordTurntable({ width, height, fps = 24, frames = 96, format = "webm", background = null, onProgress } = {}) {
+    if (!this.scene || !this.camera || !this.root) throw new Error("Nothing loaded");
+    if (format === "webm" && !webmSupported()) throw new Error("WebM recording isn't supported in this browser");
+
+    const root = this.root;
+    const startPosition = root.position.clone();
+    const startRotation = root.rotation.y;
+    const up = new THREE.Vector3(0, 1, 0);
+    // centerAndFrame left the model's centre at the origin, so orbit the root
+    // around it rather than spinning it about its own pivot.
+    const setAngle = (angle) => {
+      root.position.copy(startPosition).applyAxisAngle(up, angle);
+      root.rotation.y = startRotation + angle;
+    };
+
+    const camera = this.camera.clone();
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    // Closing the modal or opening another model ends the recording.
+    const checkOpen = () => {
+      if (this.root !== root) throw new Error("The model was closed while recording");
+    };
+
+    const canvas = document.createElement("canvas");
+    const renderer = makeCaptureRenderer(canvas, background);
+    renderer.setSize(width, height, false);
+    let recorder = null;
+    let track = null;
+
+    try {
+      if (format === "gif") {
+        // Frames are read back through a 2D canvas (already top-down, unlike readPixels).
+        const grab = document.createElement("canvas");
+        grab.width = width;
+        grab.height = height;
+        const ctx = grab.getContext("2d", { willReadFrequently: true });
+        const captured = [];
+        for (let i = 0; i < frames; i++) {
+          checkOpen();
+          setAngle((i / frames) * Math.PI * 2);
+          renderer.render(this.scene, camera);
+          ctx.clearRect(0, 0, width, height);
+          ctx.drawImage(canvas, 0, 0);
+          captured.push(ctx.getImageData(0, 0, width, height).data);
+          onProgress?.(((i + 1) / frames) * 0.5);
+          if (i % 4 === 3) await sleep(0);
+        }
+        return await encodeGif(captured, {
+          width,
+          height,
+          delay: 1000 / fps,
+          onProgress: (done, total) => onProgress?.(0.5 + (done / total) * 0.5),
+        });
+      }
+
+      // Some browsers only deliver frames from canvases in the document.
+      canvas.style.cssText = "position:fixed;left:-100000px;top:0;pointer-events:none;";
+      document.body.appendChild(canvas);
+
+      const stream = canvas.captureStream(0);
+      track = stream.getVideoTracks()[0];
+      const mimeType = WEBM_TYPES.find((t) => MediaRecorder.isTypeSupported(t));
+      recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8e6 });
+      const chunks = [];
+      recorder.ondataavailable = (e) => {
+        if (e.data.size) chunks.push(e.data);
+      };
+      const stopped = new Promise((resolve) => (recorder.onstop = resolve));
+
+      recorder.start();
+      // MediaRecorder timestamps frames as they arrive, so pace them in real time.
+      const frameMs = 1000 / fps;
+      const start = performance.now();
+      for (let i = 0; i < frames; i++) {
+        checkOpen();
+        setAngle((i / frames) * Math.PI * 2);
+        renderer.render(this.scene, camera);
+        track.requestFrame();
+        onProgress?.((i + 1) / frames);
+        await sleep(Math.max(0, start + (i + 1) * frameMs - performance.now()));
+      }
+      recorder.stop();
+      await stopped;
+      return new Blob(chunks, { type: "video/webm" });
+    } finally {
+      // Also reached when a frame fails or the model closed mid-recording.
+      try {
+        if (recorder && recorder.state !== "inactive") recorder.stop();
+      } catch {}
+      try { track?.stop(); } catch {}
+      // The modal may have closed meanwhile; only touch the root if it's still ours.
+      if (this.root === root) {
+        root.position.copy(startPosition);
+        root.rotation.y = startRotation;
+      }
+      canvas.remove();
+      releaseRenderer(renderer);
+    }
+  }
+
+  setShading(preset) {
+    if (!SHADING_PRESETS.includes(preset)) return;
+    this.shading = preset;
+    if (!this.root) return;
+    this._baseMaterials = shadeMaterials(this._originals, preset, this._baseMaterials);
+    this.setViewMode(this.viewMode);
+  }
+
+  /**
+   * Switches between the textured look and the debug views without reloading
+   * the model.
+   */
+  setViewMode(mode) {
+    if (!VIEW_MODES.includes(mode)) return;
+    this.viewMode = mode;
+    if (!this.root || !this.scene) return;
+
+    if (this._helper) {
+      this.scene.remove(this._helper);
+      this._helper.dispose();
+      this._helper = null;
+    }
+
+    if (!(mode in this._viewMaterials)) this._viewMaterials[mode] = makeViewMaterial(mode);
+    const material = this._viewMaterials[mode];
+    for (const [mesh, base] of this._baseMaterials) {
+      // Multi-material meshes keep one slot per geometry group.
+      mesh.material = material ? (Array.isArray(base) ? base.map(() => material) : material) : base;
+    }
+
+    if (mode === "skeleton") {
+      this._helper = makeSkeletonHelper(this.root);
+      this.scene.add(this._helper);
+    }
+  }
+
   close() {
     this.disposed = true;
     if (this.raf) cancelAnimationFrame(this.raf);
@@ -346,6 +915,25 @@ export class ModalPreview {
     try { this.ro?.disconnect(); } catch {}
     this.ro = null;
 
+    try { this.mixer?.stopAllAction(); } catch {}
+    this.mixer = null;
+    this.action = null;
+    this.animations = [];
+    this.clock = null;
+
+    // Put the loaded materials back so disposeObject3D frees them.
+    for (const [mesh, m] of this._originals) mesh.material = m;
+    disposeShaded(this._baseMaterials, this._originals);
+    this._baseMaterials = new Map();
+    this._originals = new Map();
+    for (const m of Object.values(this._viewMaterials)) {
+      m?.map?.dispose();
+      m?.dispose();
+    }
+    this._viewMaterials = {};
+    try { this._helper?.dispose(); } catch {}
+    this._helper = null;
+
     if (this.scene && this.root) {
       this.scene.remove(this.root);
       disposeObject3D(this.root);
@@ -0,0 +1,267 @@
+import { fetchRewind, fileDownloadUrl, fileViewUrl } from "./api.js";
+import { qs, setUrlParam, getUrlParam, initMobileNav, renderGridError } from "./ui.js";
+import { CardPreview, loadShadingPreference } from "./preview3d.js";
+
+const els = {
+  timeline: qs("#timeline"),
+  scrubber: qs("#timelineScrubber"),
+  ticks: qs("#timelineTicks"),
+  eventPanel: qs("#eventPanel"),
+  eventSeason: qs("#eventSeason"),
+  eventTitle: qs("#eventTitle"),
+  eventDates: qs("#eventDates"),
+  eventDescription: qs("#eventDescription"),
+  count: qs("#countLabel"),
+  grid: qs("#grid"),
+};
+
+// WebGL contexts are limited, so only the cards on screen get a live preview.
+const MAX_ACTIVE_PREVIEWS = 8;
+
+const state = {
+  // Oldest first, so the scrubber reads left to right through time.
+  events: [],
+  index: -1,
+};
+
+const previews = new Map();
+// Cards near the viewport, in the order they showed up.
+const visible = new Set();
+let io = null;
+
+function slugify(s) {
+  return (s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function formatDay(iso) {
+  const t = Date.parse(iso || "");
+  if (!Number.isFinite(t)) return "";
+  return new Date(t).toLocaleDateString(undefined, { timeZone: "UTC", year: "numeric", month: "short", day: "numeric" });
+}
+
+function fileExt(it) {
+  if (it.type === "maps") return "glb";
+  if (it.type === "textures") return { "image/webp": "webp", "image/jpeg": "jpg" }[it.mimeType] || "png";
+  return "gltf";
+}
+
+function galleryUrl(it) {
+  const params = new URLSearchParams({ game: it.game, q: it.name });
+  return `/hive-resources/${it.type}/?${params}`;
+}
+
+function destroyPreviews() {
+  for (const preview of previews.values()) {
+    try { preview.destroy(true); } catch {}
+  }
+  previews.clear();
+  visible.clear();
+  io?.disconnect();
+  io = null;
+}
+
+function startPreview(card) {
+  if (previews.has(card) || card.dataset.failed || previews.size >= MAX_ACTIVE_PREVIEWS) return;
+  const viewer = card.querySelector(".card__viewer");
+  const ph = viewer.querySelector(".card__placeholder");
+  const preview = new CardPreview(viewer, { shading: loadShadingPreference() });
+  previews.set(card, preview);
+  ph.textContent = "LOADING";
+  preview.init(viewer.dataset.modelUrl).then(() => {
+    ph.style.display = "none";
+  }).catch(() => {
+    card.dataset.failed = "1";
+    stopPreview(card);
+  });
+}
+
+function stopPreview(card) {
+  const preview = previews.get(card);
+  if (!preview) return;
+  try { preview.destroy(true); } catch {}
+  previews.delete(card);
+  const ph = card.querySelector(".card__placeholder");
+  if (ph) {
+    ph.style.display = "flex";
+    ph.textContent = card.dataset.failed ? "PREVIEW FAILED" : "";
+  }
+  // Hand the freed slot to a visible card that's still waiting.
+  for (const waiting of visible) startPreview(waiting);
+}
+
+function renderCard(it) {
+  const card = document.createElement("div");
+  card.className = "card";
+
+  const viewer = document.createElement("div");
+  viewer.className = "card__viewer";
+  const ph = document.createElement("div");
+  ph.className = "card__placeholder";
+  viewer.appendChild(ph);
+
+  // Maps show their minimap, textures themselves; models get a live preview.
+  const thumbId = it.type === "maps" ? it.thumbId : it.type === "textures" ? it.id : null;
+  if (it.type === "textures") viewer.classList.add("checkerboard");
+  if (it.type !== "models") {
+    if (thumbId) {
+      const img = document.createElement("img");
+      img.className = it.type === "textures" ? "card__thumb card__thumb--pixel" : "card__thumb";
+      img.loading = "lazy";
+      img.alt = "";
+      img.src = fileViewUrl(thumbId);
+      img.addEventListener("load", () => { ph.style.display = "none"; });
+      viewer.appendChild(img);
+    } else {
+      ph.textContent = "NO PREVIEW";
+    }
+  } else {
+    viewer.dataset.modelUrl = fileViewUrl(it.id);
+  }
+
+  const meta = document.createElement("div");
+  meta.className = "card__meta";
+  const top = document.createElement("div");
+  top.className = "card__top";
+
+  const name = document.createElement("a");
+  name.className = "card__name";
+  name.href = fileDownloadUrl(it.id, slugify(it.name) || "asset", fileExt(it));
+  name.textContent = it.name;
+  name.addEventListener("click", (ev) => ev.stopPropagation());
+  top.appendChild(name);
+
+  const path = document.createElement("div");
+  path.className = "card__path";
+  path.textContent = [it.gameLabel, it.folderLabel].filter(Boolean).join(" / ").toUpperCase();
+
+  meta.append(top, path);
+  card.append(viewer, meta);
+
+  // The galleries have the full modal (stats, packing, sharing).
+  card.addEventListener("click", () => {
+    location.href = galleryUrl(it);
+  });
+  return card;
+}
+
+function renderEvent() {
+  const event = state.events[state.index];
+  if (!event) return;
+
+  els.scrubber.value = String(state.index);
+  els.scrubber.setAttribute("aria-valuetext", event.title);
+  for (const [i, tick] of [...els.ticks.children].entries()) {
+    tick.classList.toggle("is-active", i === state.index);
+  }
+
+  els.eventSeason.textContent = (event.season || "").toUpperCase();
+  els.eventTitle.textContent = event.title;
+  const start = formatDay(event.start);
+  const end = formatDay(event.end);
+  els.eventDates.textContent = start && end && start !== end ? `${start} – ${end}` : start;
+  els.eventDescription.textContent = event.description || "";
+  els.eventPanel.hidden = false;
+
+  const parts = [];
+  for (const [type, noun] of [["models", "model"], ["maps", "map"], ["textures", "texture"]]) {
+    const n = event.counts[type] || 0;
+    if (n) parts.push(`${n} ${noun}${n === 1 ? "" : "s"}`);
+  }
+  els.count.textContent = parts.join(", ") || "0 shown";
+
+  destroyPreviews();
+  els.grid.innerHTML = "";
+  if (!event.items.length) {
+    const empty = document.createElement("div");
+    empty.className = "grid__loading";
+    empty.textContent = "NO ASSETS FOR THIS EVENT YET";
+    els.grid.appendChild(empty);
+    return;
+  }
+
+  const cards = event.items.map(renderCard);
+  els.grid.replaceChildren(...cards);
+
+  io = new IntersectionObserver((entries) => {
+    for (const e of entries) {
+      if (e.isIntersecting) {
+        visible.add(e.target);
+        startPreview(e.target);
+      } else {
+        visible.delete(e.target);
+        stopPreview(e.target);
+      }
+    }
+  }, { rootMargin: "200px 0px" });
+  for (const card of cards) {
+    if (card.querySelector(".card__viewer").dataset.modelUrl) io.observe(card);
+  }
+}
+
+function selectEvent(index, { push = true } = {}) {
+  const next = Math.max(0, Math.min(state.events.length - 1, index));
+  if (next === state.index) return;
+  state.index = next;
+  if (push) setUrlParam("event", state.events[next]?.id || "");
+  renderEvent();
+}
+
+function renderTimeline() {
+  els.scrubber.min = "0";
+  els.scrubber.max = String(Math.max(0, state.events.length - 1));
+  els.scrubber.disabled = state.events.length < 2;
+
+  els.ticks.replaceChildren(...state.events.map((event, i) => {
+    const tick = document.createElement("button");
+    tick.type = "button";
+    tick.className = "timeline__tick";
+    tick.title = event.title;
+    tick.textContent = (event.season || formatDay(event.start) || event.title).toUpperCase();
+    tick.addEventListener("click", () => selectEvent(i));
+    return tick;
+  }));
+  els.timeline.hidden = false;
+}
+
+function indexFromUrl() {
+  const id = getUrlParam("event", "");
+  const i = state.events.findIndex((e) => e.id === id);
+  // Default to the most recent event.
+  return i >= 0 ? i : state.events.length - 1;
+}
+
+async function load() {
+  els.grid.innerHTML = '<div class="grid__loading">LOADING</div>';
+  try {
+    state.events = (await fetchRewind()).slice().reverse();
+  } catch (err) {
+    els.count.textContent = "failed to load";
+    renderGridError(els.grid, err, load);
+    return;
+  }
+
+  if (!state.events.length) {
+    els.grid.innerHTML = '<div class="grid__loading">NO EVENTS YET</div>';
+    return;
+  }
+  renderTimeline();
+  selectEvent(indexFromUrl(), { push: false });
+}
+
+function init() {
+  initMobileNav();
+
+  // Render while dragging; only the settled position goes into history.
+  els.scrubber.addEventListener("input", () => selectEvent(Number(els.scrubber.value), { push: false }));
+  els.scrubber.addEventListener("change", () => setUrlParam("event", state.events[state.index]?.id || ""));
+  window.addEventListener("popstate", () => {
+    if (state.events.length) selectEvent(indexFromUrl(), { push: false });
+  });
+
+  load();
+}
+
+init();
@@ -0,0 +1,672 @@
+import { fetchTextures, fetchGames, searchCatalog, fetchLinkSignature, fileDownloadUrl, fileViewUrl, zipDownloadUrl } from "./api.js";
+import { initNewsBanner } from "./news.js";
+import { qs, debounce, setUrlParam, getUrlParam, copyToClipboard, titleCase, initMobileNav, renderGridError } from "./ui.js";
+
+const els = {
+  gameChips: qs("#gameChips"),
+  folderChips: qs("#folderChips"),
+  search: qs("#searchInput"),
+  searchScope: qs("#searchScope"),
+  count: qs("#countLabel"),
+  grid: qs("#grid"),
+
+  modal: qs("#modal"),
+  modalBackdrop: qs("#modalBackdrop"),
+  modalClose: qs("#modalClose"),
+  modalViewer: qs("#modalViewer"),
+  modalLoading: qs("#modalLoading"),
+  modalName: qs("#modalName"),
+  modalPath: qs("#modalPath"),
+  modalDims: qs("#modalDims"),
+  zoomChips: qs("#zoomChips"),
+  modalDownload: qs("#modalDownload"),
+  modalCopy: qs("#modalCopy"),
+  modalPalette: qs("#modalPalette"),
+};
+
+// Whole-number zooms keep every texel the same size on screen.
+const ZOOM_LEVELS = [1, 2, 4, 8, 16, 32];
+// Past this many distinct colours it's a painted texture, not a palette.
+const MAX_PALETTE = 256;
+const SHOWN_PALETTE = 48;
+
+const state = {
+  games: [],
+  game: slugify(getUrlParam("game", "")),
+  folder: String(getUrlParam("folder", "all") || "all").toLowerCase(),
+  q: getUrlParam("q", ""),
+  // "game" filters the loaded gamemode locally; "all" asks /api/search.
+  scope: getUrlParam("scope", "") === "all" ? "all" : "game",
+  groups: [],
+  items: [],
+  filtered: [],
+  stale: false,
+  lastFocus: null,
+  // Modal: null = fit to the viewer.
+  zoom: null,
+};
+
+let gridLoadingEl = null;
+let gridLoadingStop = null;
+let imgIO = null;
+let loadSeq = 0;
+let searchSeq = 0;
+let modalSeq = 0;
+let modalImg = null;
+
+function slugify(s) {
+  return (s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function normalizeGameLabel(key) {
+  return titleCase(key).toUpperCase();
+}
+
+function buildPathText(gameKey, folderPath) {
+  const g = (gameKey || "").toUpperCase();
+  const p = String(folderPath || "")
+    .replace(/^\/+/, "")
+    .replace(/\//g, " \\ ");
+  return p ? `${g} \\ ${p.toUpperCase()}` : `${g}`;
+}
+
+function extForMime(mime) {
+  if (mime === "image/webp") return "webp";
+  if (mime === "image/jpeg") return "jpg";
+  return "png";
+}
+
+function formatDims(w, h) {
+  return w && h ? `${w}×${h}` : "";
+}
+
+function clearNode(node) {
+  while (node.firstChild) node.removeChild(node.firstChild);
+}
+
+function makeChip({ label, active, onClick, extraClass = "" }) {
+  const b = document.createElement("button");
+  b.className = `chip ${extraClass} ${active ? "is-active" : ""}`.trim();
+  b.type = "button";
+  b.textContent = label;
+  b.addEventListener("click", onClick);
+  return b;
+}
+
+async function loadGameListIfNeeded() {
+  if (state.games.length) return;
+  try {
+    const games = await fetchGames("textures");
+    state.games = games
+      .map((g) => ({ key: slugify(g.key), label: String(g.label || normalizeGameLabel(g.key)).toUpperCase() }))
+      .filter((g) => g.key);
+  } catch (err) {
+    console.error(err);
+    state.games = [];
+  }
+}
+
+function renderGameChips() {
+  clearNode(els.gameChips);
+
+  const sorted = [...state.games].sort((a, b) => a.label.localeCompare(b.label));
+  for (const g of sorted) {
+    els.gameChips.appendChild(makeChip({
+      label: g.label,
+      active: g.key === state.game,
+      onClick: () => {
+        if (state.game === g.key) return;
+        state.game = g.key;
+        state.folder = "all";
+        setUrlParam("game", state.game);
+        setUrlParam("folder", "");
+        renderGameChips();
+        loadDataAndRender();
+      }
+    }));
+  }
+}
+
+function folderKeyFromGroup(group) {
+  return String(group.key || slugify(group.label) || "").toLowerCase();
+}
+
+function renderFolderChips(groups) {
+  clearNode(els.folderChips);
+
+  els.folderChips.appendChild(makeChip({
+    label: "ALL FOLDERS",
+    active: state.folder === "all",
+    extraClass: "chip--folder",
+    onClick: () => {
+      if (state.folder === "all") return;
+      state.folder = "all";
+      setUrlParam("folder", "");
+      renderFolderChips(state.groups);
+      applyFiltersAndRenderGrid();
+    }
+  }));
+
+  for (const grp of groups) {
+    const key = folderKeyFromGroup(grp);
+    if (key === "all") continue;
+    els.folderChips.appendChild(makeChip({
+      label: String(grp.label || key).toUpperCase(),
+      active: key === state.folder,
+      extraClass: "chip--folder",
+      onClick: () => {
+        if (state.folder === key) return;
+        state.folder = key;
+        setUrlParam("folder", state.folder);
+        renderFolderChips(state.groups);
+        applyFiltersAndRenderGrid();
+      }
+    }));
+  }
+
+  if (!state.items.length) return;
+  els.folderChips.appendChild(makeChip({
+    label: "DOWNLOAD ALL",
+    active: false,
+    extraClass: "chip--action",
+    onClick: () => {
+      const a = document.createElement("a");
+      a.href = zipDownloadUrl("textures", state.game, state.folder);
+      a.download = "";
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+    }
+  }));
+}
+
+function toItem(it, gameKey, folderKey, folderLabel) {
+  return {
+    name: it.name || "(untitled)",
+    gameKey,
+    imageId: it.imageId || null,
+    mimeType: it.mimeType || "",
+    width: it.width || 0,
+    height: it.height || 0,
+    relPath: it.path || it.folderLabel || folderLabel || "",
+    folderKey,
+    folderLabel: it.folderLabel || folderLabel || "",
+  };
+}
+
+function flattenItemsFromGroups(groups, gameKey) {
+  const out = [];
+  const seen = new Set();
+
+  // Folders first; root files only live in ALL.
+  for (const g of groups || []) {
+    const key = folderKeyFromGroup(g);
+    if (key === "all") continue;
+    for (const it of g.items || []) {
+      if (it.imageId) seen.add(it.imageId);
+      out.push(toItem(it, gameKey, key, g.label || key));
+    }
+  }
+  const allGroup = (groups || []).find((g) => folderKeyFromGroup(g) === "all");
+  for (const it of allGroup?.items || []) {
+    if (it.imageId && seen.has(it.imageId)) continue;
+    out.push(toItem(it, gameKey, slugify(it.folderLabel || "") || "root", it.folderLabel || ""));
+  }
+
+  out.sort((a, b) => a.name.localeCompare(b.name) || a.relPath.localeCompare(b.relPath));
+  return out;
+}
+
+function applyFiltersAndRenderGrid() {
+  const q = (state.q || "").trim().toLowerCase();
+  const mySearch = ++searchSeq;
+  if (state.scope === "all" && q) {
+    runGlobalSearch(q, mySearch);
+    return;
+  }
+
+  const items = state.items.filter((it) => {
+    if (state.folder !== "all" && it.folderKey !== state.folder) return false;
+    if (!q) return true;
+    return it.name.toLowerCase().includes(q) || it.relPath.toLowerCase().includes(q);
+  });
+
+  state.filtered = items;
+  els.count.textContent = `${items.length} shown${state.stale ? " (cached)" : ""}`;
+  renderGrid(items);
+}
+
+async function runGlobalSearch(q, mySearch) {
+  els.count.textContent = "searching…";
+  try {
+    const res = await searchCatalog(q, { type: "textures", limit: 200 });
+    if (mySearch !== searchSeq) return;
+    const items = (res.hits || []).map((h) =>
+      toItem({ name: h.name, imageId: h.fileId, path: h.path }, h.game.key, h.folder.key, h.folder.label)
+    );
+    state.filtered = items;
+    els.count.textContent = `${items.length} shown (all games)`;
+    renderGrid(items);
+  } catch (err) {
+    if (mySearch !== searchSeq) return;
+    console.error(err);
+    els.count.textContent = "search failed";
+    renderGridError(els.grid, err, () => applyFiltersAndRenderGrid());
+  }
+}
+
+function renderSearchScope() {
+  els.searchScope.classList.toggle("is-active", state.scope === "all");
+  els.searchScope.setAttribute("aria-pressed", String(state.scope === "all"));
+}
+
+function startDotLoader(el, baseText) {
+  if (!el) return () => {};
+  let n = 0;
+  el.textContent = baseText;
+  const t = setInterval(() => {
+    n = (n + 1) % 4;
+    el.textContent = baseText + ".".repeat(n);
+  }, 350);
+  return () => clearInterval(t);
+}
+
+function showGridLoading(show) {
+  if (show) {
+    if (!gridLoadingEl) {
+      gridLoadingEl = document.createElement("div");
+      gridLoadingEl.className = "grid__loading";
+      els.grid.innerHTML = "";
+      els.grid.appendChild(gridLoadingEl);
+    }
+    if (gridLoadingStop) gridLoadingStop();
+    gridLoadingStop = startDotLoader(gridLoadingEl, "LOADING");
+  } else {
+    if (gridLoadingStop) gridLoadingStop();
+    gridLoadingStop = null;
+    gridLoadingEl = null;
+  }
+}
+
+function renderGrid(items) {
+  els.grid.innerHTML = "";
+
+  try { imgIO?.disconnect(); } catch {}
+  imgIO = new IntersectionObserver((entries) => {
+    for (const e of entries) {
+      if (!e.isIntersecting) continue;
+      const img = e.target;
+      if (img.dataset.src && !img.src) img.src = img.dataset.src;
+    }
+  }, { root: null, threshold: 0.01, rootMargin: "700px 0px 700px 0px" });
+
+  if (!items.length) {
+    const empty = document.createElement("div");
+    empty.className = "grid__loading";
+    empty.textContent = state.games.length ? "NO TEXTURES HERE" : "NO TEXTURES YET";
+    els.grid.appendChild(empty);
+    return;
+  }
+
+  for (const it of items) {
+    const card = document.createElement("div");
+    card.className = "card";
+    card.tabIndex = 0;
+
+    const viewer = document.createElement("div");
+    viewer.className = "card__viewer checkerboard";
+
+    const ph = document.createElement("div");
+    ph.className = "card__placeholder";
+
+    const path = document.createElement("div");
+    path.className = "card__path";
+    const pathText = buildPathText(it.gameKey, it.relPath || it.folderLabel);
+    const setPath = (w, h) => {
+      const dims = formatDims(w, h);
+      path.textContent = dims ? `${pathText} · ${dims}` : pathText;
+    };
+    setPath(it.width, it.height);
+
+    if (it.imageId) {
+      const img = document.createElement("img");
+      img.className = "card__thumb card__thumb--pixel";
+      img.alt = it.name;
+      img.dataset.src = fileViewUrl(it.imageId);
+      imgIO.observe(img);
+      img.addEventListener("load", () => {
+        ph.style.display = "none";
+        // The catalog doesn't always know the size; the image does.
+        if (!it.width) {
+          it.width = img.naturalWidth;
+          it.height = img.naturalHeight;
+          setPath(it.width, it.height);
+        }
+      });
+      img.addEventListener("error", () => {
+        ph.style.display = "flex";
+        ph.textContent = "NO PREVIEW";
+      });
+      viewer.appendChild(img);
+    } else {
+      ph.textContent = "NO PREVIEW";
+    }
+    viewer.appendChild(ph);
+
+    const meta = document.createElement("div");
+    meta.className = "card__meta";
+    const top = document.createElement("div");
+    top.className = "card__top";
+    const name = document.createElement("div");
+    name.className = "card__name";
+    name.textContent = it.name;
+    top.appendChild(name);
+    meta.append(top, path);
+
+    card.append(viewer, meta);
+    card.addEventListener("click", () => openModal(it));
+    card.addEventListener("keydown", (ev) => {
+      if (ev.key === "Enter") openModal(it);
+    });
+
+    els.grid.appendChild(card);
+  }
+}
+
+// --- Modal: zoom, dimensions, palette -----------------------------------------
+
+// Largest whole-number zoom that fits the viewer (a fraction for huge images).
+function fitZoom(img) {
+  const w = els.modalViewer.clientWidth - 24;
+  const h = els.modalViewer.clientHeight - 24;
+  const fit = Math.min(w / img.naturalWidth, h / img.naturalHeight);
+  return fit >= 1 ? Math.floor(fit) : fit;
+}
+
+function applyZoom() {
+  if (!modalImg?.naturalWidth) return;
+  const zoom = state.zoom ?? fitZoom(modalImg);
+  modalImg.style.width = `${modalImg.naturalWidth * zoom}px`;
+  modalImg.style.height = `${modalImg.naturalHeight * zoom}px`;
+
+  clearNode(els.zoomChips);
+  els.zoomChips.appendChild(makeChip({
+    label: "FIT",
+    active: state.zoom == null,
+    onClick: () => setZoom(null),
+  }));
+  for (const level of ZOOM_LEVELS) {
+    els.zoomChips.appendChild(makeChip({
+      label: `${level}×`,
+      active: state.zoom === level,
+      onClick: () => setZoom(level),
+    }));
+  }
+}
+
+function setZoom(zoom) {
+  state.zoom = zoom;
+  applyZoom();
+}
+
+function stepZoom(dir) {
+  const current = state.zoom ?? fitZoom(modalImg);
+  const next = dir > 0
+    ? ZOOM_LEVELS.find((z) => z > current)
+    : [...ZOOM_LEVELS].reverse().find((z) => z < current);
+  if (next) setZoom(next);
+}
+
+function toHex(r, g, b) {
+  return `#${[r, g, b].map((v) => v.toString(16).padStart(2, "0")).join("")}`;
+}
+
+// Distinct opaque-ish colours by frequency, or null past MAX_PALETTE.
+function readPalette(img) {
+  const canvas = document.createElement("canvas");
+  canvas.width = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0);
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  const counts = new Map();
+  let transparent = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) {
+      transparent++;
+      continue;
+    }
+    const key = ((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3]) >>> 0;
+    counts.set(key, (counts.get(key) || 0) + 1);
+    if (counts.size > MAX_PALETTE) return { colors: null, transparent };
+  }
+
+  const colors = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([key, count]) => ({
+      hex: toHex(key >>> 24, (key >>> 16) & 255, (key >>> 8) & 255),
+      alpha: (key & 255) / 255,
+      count,
+    }));
+  return { colors, transparent };
+}
+
+function renderPalette(img) {
+  clearNode(els.modalPalette);
+  let palette;
+  try {
+    palette = readPalette(img);
+  } catch {
+    return; // tainted canvas (external URL); nothing to show
+  }
+
+  const label = document.createElement("div");
+  label.className = "palette__label";
+  if (!palette.colors) {
+    label.textContent = `PALETTE: MORE THAN ${MAX_PALETTE} COLOURS`;
+    els.modalPalette.appendChild(label);
+    return;
+  }
+  const extra = palette.transparent ? " + TRANSPARENT" : "";
+  label.textContent = `PALETTE: ${palette.colors.length} COLOUR${palette.colors.length === 1 ? "" : "S"}${extra}`;
+
+  const swatches = document.createElement("div");
+  swatches.className = "palette__swatches";
+  for (const c of palette.colors.slice(0, SHOWN_PALETTE)) {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "palette__swatch";
+    b.style.background = c.hex;
+    b.style.opacity = String(Math.max(c.alpha, 0.15));
+    b.title = `${c.hex}${c.alpha < 1 ? ` @ ${Math.round(c.alpha * 100)}%` : ""} (${c.count} px) – click to copy`;
+    b.addEventListener("click", async () => {
+      await copyToClipboard(c.hex);
+      label.textContent = `COPIED ${c.hex.toUpperCase()}`;
+    });
+    swatches.appendChild(b);
+  }
+  if (palette.colors.length > SHOWN_PALETTE) {
+    const more = document.createElement("span");
+    more.className = "palette__more";
+    more.textContent = `+${palette.colors.length - SHOWN_PALETTE}`;
+    swatches.appendChild(more);
+  }
+  els.modalPalette.append(label, swatches);
+}
+
+function openModal(it) {
+  const mySeq = ++modalSeq;
+  els.modal.classList.add("is-open");
+  els.modal.setAttribute("aria-hidden", "false");
+  state.lastFocus = document.activeElement;
+  try { els.modalClose?.focus?.(); } catch {}
+
+  els.modalName.textContent = it.name;
+  els.modalPath.textContent = buildPathText(it.gameKey, it.relPath || it.folderLabel);
+  els.modalDims.textContent = formatDims(it.width, it.height) || "—";
+  clearNode(els.modalPalette);
+  clearNode(els.zoomChips);
+  state.zoom = null;
+
+  clearNode(els.modalViewer);
+  els.modalLoading.style.display = "flex";
+  els.modalLoading.textContent = it.imageId ? "Loading…" : "NO PREVIEW";
+  els.modalViewer.appendChild(els.modalLoading);
+  modalImg = null;
+
+  if (it.imageId) {
+    const stage = document.createElement("div");
+    stage.className = "texture-stage";
+    const img = document.createElement("img");
+    img.className = "texture-stage__img checkerboard";
+    img.alt = it.name;
+    img.addEventListener("load", () => {
+      if (mySeq !== modalSeq) return;
+      els.modalLoading.style.display = "none";
+      els.modalDims.textContent = formatDims(img.naturalWidth, img.naturalHeight);
+      modalImg = img;
+      applyZoom();
+      renderPalette(img);
+    });
+    img.addEventListener("error", () => {
+      if (mySeq !== modalSeq) return;
+      els.modalLoading.textContent = "FAILED TO LOAD";
+    });
+    img.src = fileViewUrl(it.imageId);
+    stage.appendChild(img);
+    els.modalViewer.appendChild(stage);
+  }
+
+  const ext = extForMime(it.mimeType);
+  const baseName = slugify(it.name) || "texture";
+  const filename = `${baseName}.${ext}`;
+  const dl = it.imageId ? fileDownloadUrl(it.imageId, baseName, ext) : "";
+
+  els.modalDownload.href = dl || "#";
+  els.modalDownload.download = filename;
+  els.modalDownload.textContent = `DOWNLOAD .${ext.toUpperCase()}`;
+
+  els.modalCopy.onclick = async () => {
+    if (!dl) return;
+    let signature = null;
+    try { signature = await fetchLinkSignature(it.imageId); } catch {}
+    const link = signature ? fileDownloadUrl(it.imageId, baseName, ext, signature) : dl;
+    await copyToClipboard(new URL(link, window.location.origin).href);
+    els.modalCopy.textContent = "COPIED!";
+    setTimeout(() => (els.modalCopy.textContent = "COPY LINK"), 900);
+  };
+}
+
+function closeModal() {
+  modalSeq++;
+  modalImg = null;
+  try { state.lastFocus?.focus?.(); } catch {}
+  els.modal.classList.remove("is-open");
+  els.modal.setAttribute("aria-hidden", "true");
+}
+
+els.modalBackdrop.addEventListener("click", closeModal);
+els.modalClose.addEventListener("click", closeModal);
+window.addEventListener("keydown", (e) => {
+  if (!els.modal.classList.contains("is-open")) return;
+  if (e.key === "Escape") closeModal();
+  else if ((e.key === "+" || e.key === "=") && modalImg) stepZoom(1);
+  else if (e.key === "-" && modalImg) stepZoom(-1);
+});
+els.modalViewer.addEventListener("wheel", (e) => {
+  if (!modalImg) return;
+  e.preventDefault();
+  stepZoom(e.deltaY < 0 ? 1 : -1);
+}, { passive: false });
+window.addEventListener("resize", () => {
+  if (state.zoom == null) applyZoom();
+});
+
+// Search wiring
+els.search.value = state.q || "";
+els.search.addEventListener("input", debounce(() => {
+  state.q = els.search.value || "";
+  setUrlParam("q", state.q || "");
+  applyFiltersAndRenderGrid();
+}, 120));
+
+renderSearchScope();
+els.searchScope.addEventListener("click", () => {
+  state.scope = state.scope === "all" ? "game" : "all";
+  setUrlParam("scope", state.scope === "all" ? "all" : "");
+  renderSearchScope();
+  applyFiltersAndRenderGrid();
+});
+
+async function loadDataAndRender() {
+  const mySeq = ++loadSeq;
+  showGridLoading(true);
+
+  try {
+    await loadGameListIfNeeded();
+    if (mySeq !== loadSeq) return;
+
+    if (!state.games.length) {
+      state.items = [];
+      renderGameChips();
+      renderFolderChips([]);
+      applyFiltersAndRenderGrid();
+      return;
+    }
+    if (!state.games.some((g) => g.key === state.game)) {
+      state.game = state.games.find((g) => g.key === "bedwars")?.key || state.games[0].key;
+      setUrlParam("game", state.game);
+    }
+    renderGameChips();
+
+    const json = await fetchTextures(state.game);
+    if (mySeq !== loadSeq) return;
+    state.stale = !!json.stale;
+
+    const groups = json.groups || [];
+    groups.sort((a, b) =>
+      (a.key === "all" ? -1 : b.key === "all" ? 1 : (a.label || "").localeCompare(b.label || ""))
+    );
+    state.groups = groups;
+    state.items = flattenItemsFromGroups(groups, state.game);
+
+    const folderKeys = new Set(groups.map(folderKeyFromGroup).concat(["all"]));
+    if (!folderKeys.has(state.folder)) {
+      state.folder = "all";
+      setUrlParam("folder", "");
+    }
+
+    renderFolderChips(groups);
+    applyFiltersAndRenderGrid();
+  } catch (err) {
+    if (mySeq !== loadSeq) return;
+    console.error(err);
+    state.items = [];
+    state.filtered = [];
+    els.count.textContent = "failed to load";
+    renderGridError(els.grid, err, () => loadDataAndRender());
+  } finally {
+    if (mySeq === loadSeq) showGridLoading(false);
+  }
+}
+
+(async function init() {
+  initMobileNav();
+  initNewsBanner();
+
+  window.addEventListener("popstate", async () => {
+    state.game = slugify(getUrlParam("game", ""));
+    state.folder = String(getUrlParam("folder", "all") || "all").toLowerCase();
+    state.q = getUrlParam("q", "");
+    state.scope = getUrlParam("scope", "") === "all" ? "all" : "game";
+    els.search.value = state.q;
+    renderSearchScope();
+    await loadDataAndRender();
+  });
+
+  await loadDataAndRender();
+})();
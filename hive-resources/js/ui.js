@@ -1,3 +1,5 @@
+import { fetchChanges } from "./api.js";
+
 export function qs(sel, root = document) { return root.querySelector(sel); }
 export function qsa(sel, root = document) { return [...root.querySelectorAll(sel)]; }
 
@@ -45,6 +47,34 @@ export function titleCase(str) {
     .replace(/\b\w/g, (m) => m.toUpperCase());
 }
 
+// --- Grid error state ---------------------------------------------------------
+
+// Replaces a grid's contents with the API's error message and a RETRY button.
+export function renderGridError(grid, err, onRetry) {
+  if (!grid) return;
+  grid.innerHTML = "";
+
+  const box = document.createElement("div");
+  box.className = "grid__error";
+  box.setAttribute("role", "alert");
+
+  const msg = document.createElement("p");
+  msg.className = "grid__errorText";
+  msg.textContent = err?.message || "Something went wrong loading this page.";
+  box.appendChild(msg);
+
+  if (onRetry && err?.retryable !== false) {
+    const retry = document.createElement("button");
+    retry.type = "button";
+    retry.className = "btn";
+    retry.textContent = "RETRY";
+    retry.addEventListener("click", onRetry);
+    box.appendChild(retry);
+  }
+
+  grid.appendChild(box);
+}
+
 // --- Mobile nav dropdown ----------------------------------------------------
 
 export function initMobileNav() {
@@ -103,20 +133,43 @@ export function initMobileNav() {
   nav.appendChild(dropdown);
 }
 
-// --- Latest news (option 1) -------------------------------------------------
+// --- Newest additions (from the catalog change feed) ------------------------
 
-export async function initLatestNews() {
-  const box = document.querySelector("[data-latest-news]");
-  if (!box) return;
+export async function initLatestAdditions({ limit = 8 } = {}) {
+  const list = document.querySelector("[data-latest-additions]");
+  if (!list) return;
 
+  let changes = [];
   try {
-    const res = await fetch("/hive-resources/latest.json", { cache: "no-store" });
-    if (!res.ok) return;
-    const data = await res.json();
-    const text = String(data?.text || "").trim();
-    if (!text) return;
-    box.textContent = text;
+    changes = await fetchChanges({ kind: "added", limit });
   } catch {
-    // ignore
+    // The hand-written news above still shows; just leave the list out.
   }
+  if (!changes.length) {
+    list.hidden = true;
+    return;
+  }
+
+  list.replaceChildren(...changes.map((c) => {
+    const li = document.createElement("li");
+    li.className = "additions__item";
+
+    const a = document.createElement("a");
+    a.className = "additions__link";
+    a.href = c.url;
+    a.textContent = c.name;
+
+    const meta = document.createElement("span");
+    meta.className = "additions__meta";
+    const when = new Date(c.at);
+    meta.textContent = [
+      { maps: "MAP", textures: "TEXTURE" }[c.type] || "MODEL",
+      c.gameLabel,
+      Number.isNaN(when.getTime()) ? "" : when.toLocaleDateString(),
+    ].filter(Boolean).join(" · ");
+
+    li.append(a, meta);
+    return li;
+  }));
+  list.hidden = false;
 }
@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { onRequest as middleware } from "../functions/api/_middleware.js";
+import { onRequest as file } from "../functions/api/file.js";
+import { onRequest as maps } from "../functions/api/maps.js";
+import { onRequest as models } from "../functions/api/models.js";
+import { onRequest as search } from "../functions/api/search.js";
+import { buildSnapshot } from "../functions/_lib/catalog.js";
+import { makeContext } from "./helpers/context.js";
+import { html, mockFixtureFetch } from "./helpers/mock-fetch.js";
+
+let mock;
+afterEach(() => mock?.restore());
+
+const scriptCalls = () =>
+  mock.urls().filter((u) => u.hostname === "script.google.com").map((u) => Object.fromEntries(u.searchParams));
+
+// /api/models and /api/maps no longer forward the caller's query string to
+// Apps Script: they answer from the KV snapshot, which is built by asking
+// each script for its game list and then for one game at a time. So these
+// tests check that ?game= picks the right game out of the snapshot and that
+// the build sent the expected parameters, not a forwarded query string.
+test("models forwards ?game= to the models Apps Script", async () => {
+  mock = mockFixtureFetch();
+  const res = await models(makeContext("/api/models?game=skywars"));
+  assert.equal(res.status, 200);
+
+  const json = await res.json();
+  assert.equal(json.game.key, "skywars");
+  assert.deepEqual(json.groups.map((g) => g.key), ["islands"]);
+  assert.deepEqual(scriptCalls(), [{ list: "1" }, { game: "bedwars" }, { game: "skywars" }]);
+});
+
+test("models defaults to bedwars and slugifies game keys", async () => {
+  mock = mockFixtureFetch();
+  assert.equal((await (await models(makeContext("/api/models"))).json()).game.key, "bedwars");
+  assert.equal((await (await models(makeContext("/api/models?game=SkyWars"))).json()).game.key, "skywars");
+});
+
+test("models answers unknown games with a 404", async () => {
+  mock = mockFixtureFetch();
+  const res = await models(makeContext("/api/models?game=nope"));
+  assert.equal(res.status, 404);
+  assert.equal((await res.json()).error.code, "unknown_game");
+});
+
+test("maps forwards ?game= to the maps Apps Script and keeps thumbnails", async () => {
+  mock = mockFixtureFetch();
+  const res = await maps(makeContext("/api/maps?game=bedwars"));
+  const json = await res.json();
+  const [item] = json.groups[0].items;
+  assert.equal(item.glbId, "dev-platform-glb");
+  assert.equal(item.thumbId, "dev-platform-png");
+
+  const [script] = mock.urls().filter((u) => u.hostname === "script.google.com");
+  assert.match(script.pathname, /AKfycbwCdZ/);
+});
+
+test("maps ?list=1 lists gamemodes", async () => {
+  mock = mockFixtureFetch();
+  const json = await (await maps(makeContext("/api/maps?list=1"))).json();
+  assert.deepEqual(json.games, [{ key: "bedwars", label: "BEDWARS" }]);
+});
+
+test("Apps Script failures come back as JSON errors, not the script's HTML", async () => {
+  mock = mockFixtureFetch((req) =>
+    req.url.includes("/macros/") ? html("<html>Script function not found</html>", { status: 500 }) : null
+  );
+  // Retry without waiting out the real backoff.
+  const context = makeContext("/api/models?game=bedwars", { env: { UPSTREAM_RETRY_DELAY_MS: "0" } });
+  context.next = () => models(context);
+
+  const res = await middleware(context);
+  assert.equal(res.status, 502);
+  assert.match(res.headers.get("Content-Type"), /application\/json/);
+  const { error } = await res.json();
+  assert.equal(error.retryable, true);
+  assert.match(error.message, /Apps Script/);
+});
+
+test("Apps Script answering HTML with a 200 is treated as an error", async () => {
+  mock = mockFixtureFetch((req) => (req.url.includes("/macros/") ? html("<html>Sign in</html>") : null));
+  const context = makeContext("/api/maps?game=bedwars");
+  context.next = () => maps(context);
+
+  const res = await middleware(context);
+  assert.equal(res.status, 502);
+  assert.equal((await res.json()).error.code, "upstream_invalid_json");
+});
+
+// A KV store holding the models snapshot alone, as written before the
+// allowlist and search keys existed.
+async function snapshotOnlyContext(path) {
+  mock = mockFixtureFetch();
+  const context = makeContext(path);
+  await context.env.CATALOG.put("catalog:models", JSON.stringify(await buildSnapshot("models", null, context.env)));
+  mock.restore();
+  mock = mockFixtureFetch();
+  return context;
+}
+
+test("a snapshot without its allowlist still lets catalog files through", async () => {
+  const context = await snapshotOnlyContext("/api/file?id=dev-cube");
+  const res = await file(context);
+  assert.equal(res.status, 200);
+  assert.deepEqual(scriptCalls(), []);
+
+  const entry = await context.env.CATALOG.get("catalog:models:file-ids", "json");
+  assert.ok(entry.ids.includes("dev-cube"));
+});
+
+test("a snapshot without its search index is still searchable", async () => {
+  const context = await snapshotOnlyContext("/api/search?q=diamond&type=models");
+  const json = await (await search(context)).json();
+  assert.deepEqual(json.hits.map((h) => h.fileId), ["dev-cube"]);
+  assert.deepEqual(scriptCalls(), []);
+
+  const index = await context.env.CATALOG.get("catalog:models:search", "json");
+  assert.equal(index.type, "models");
+  assert.ok(index.docs.length > 0);
+});
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { onRequest as changes } from "../functions/api/changes.js";
+import { refreshCatalog } from "../functions/_lib/catalog.js";
+import { diffSnapshots, loadChanges, recordChanges } from "../functions/_lib/changes.js";
+import { createFixtureFetch } from "../dev/fixtures.js";
+import { makeContext } from "./helpers/context.js";
+import { mockFixtureFetch } from "./helpers/mock-fetch.js";
+
+let mock;
+afterEach(() => mock?.restore());
+
+const snapshot = (builtAt, items) => ({
+  type: "models",
+  builtAt,
+  games: [{ key: "bedwars", label: "BEDWARS", groups: [{ key: "beds", label: "BEDS", items }] }],
+});
+
+test("diffSnapshots reports added, renamed and removed files by ID", () => {
+  const before = snapshot("2026-10-01T00:00:00.000Z", [
+    { name: "Bed", modelId: "a" },
+    { name: "Old Name", modelId: "b" },
+    { name: "Gone", modelId: "c" },
+  ]);
+  const after = snapshot("2026-10-02T00:00:00.000Z", [
+    { name: "Bed", modelId: "a" },
+    { name: "New Name", modelId: "b" },
+    { name: "Fresh", modelId: "d" },
+  ]);
+
+  const diff = diffSnapshots(before, after);
+  assert.deepEqual(diff.map((c) => [c.kind, c.id, c.name]), [
+    ["renamed", "b", "New Name"],
+    ["added", "d", "Fresh"],
+    ["removed", "c", "Gone"],
+  ]);
+  assert.equal(diff[0].previousName, "Old Name");
+  assert.equal(diff[1].at, "2026-10-02T00:00:00.000Z");
+  assert.equal(diff[1].folder, "beds");
+  assert.deepEqual(diffSnapshots(null, after), []);
+});
+
+// Serves the models fixtures with `edit(json)` applied to bedwars.
+function editBedwars(edit) {
+  const replay = createFixtureFetch();
+  return async (request) => {
+    const url = new URL(request.url);
+    if (!url.pathname.includes("AKfycbxwo50") || url.searchParams.get("game") !== "bedwars") return null;
+    return Response.json(edit(await (await replay(request)).json()));
+  };
+}
+
+test("/api/changes lists what a rebuild added and renamed, as JSON and Atom", async () => {
+  let edit = (json) => json;
+  mock = mockFixtureFetch(editBedwars((json) => edit(json)));
+
+  const ctx = makeContext("/api/changes?type=models");
+  await refreshCatalog(ctx.env, "models");
+  edit = (json) => {
+    const [generators] = json.groups;
+    generators.items[1].name = "Tall Pillar";
+    generators.items.push({ name: "Platform", modelId: "dev-platform-glb" });
+    return json;
+  };
+  await refreshCatalog(ctx.env, "models");
+
+  const json = await (await changes(ctx)).json();
+  assert.deepEqual(json.changes.map((c) => [c.kind, c.name]), [["renamed", "Tall Pillar"], ["added", "Platform"]]);
+  assert.equal(json.changes[1].url, "/hive-resources/models/?game=bedwars&q=Platform");
+  assert.equal(json.updatedAt, json.changes[0].at);
+
+  const added = await (await changes(makeContext("/api/changes?kind=added", { env: ctx.env }))).json();
+  assert.deepEqual(added.changes.map((c) => c.id), ["dev-platform-glb"]);
+
+  const atom = await changes(makeContext("/api/changes?format=atom", { env: ctx.env }));
+  assert.match(atom.headers.get("Content-Type"), /application\/atom\+xml/);
+  const xml = await atom.text();
+  assert.equal(xml.match(/<entry>/g).length, 2);
+  assert.match(xml, /<title>Renamed: Team Pillar → Tall Pillar \(BEDWARS \/ GENERATORS\)<\/title>/);
+  assert.match(xml, /href="https:\/\/sparkskye\.test\/hive-resources\/models\/\?game=bedwars&amp;q=Platform"/);
+});
+
+test("/api/changes rejects unknown kinds", async () => {
+  mock = mockFixtureFetch();
+  const res = await changes(makeContext("/api/changes?kind=moved"));
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.code, "unknown_kind");
+});
+
+test("changes recorded for two types at once are all kept", async () => {
+  const env = makeContext("/").env;
+  const change = (type, id, at) => ({ at, type, kind: "added", id, name: id, game: "bedwars", folder: "all" });
+  await recordChanges(env, [change("maps", "old-map", "2026-10-01T00:00:00.000Z")]);
+
+  // Both refreshes read their feed before either writes.
+  await Promise.all([
+    recordChanges(env, [change("models", "m1", "2026-10-03T00:00:00.000Z")]),
+    recordChanges(env, [change("maps", "p1", "2026-10-02T00:00:00.000Z")]),
+  ]);
+
+  const all = await loadChanges(env, ["models", "maps", "textures"]);
+  assert.deepEqual(all.map((c) => c.id), ["m1", "p1", "old-map"]);
+  assert.deepEqual((await loadChanges(env, ["maps"])).map((c) => c.id), ["p1", "old-map"]);
+});
@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { cookieHeaderFromSetCookie, fetchDriveFile } from "../functions/_lib/storage/drive.js";
+import { bytes, html, mockFetch } from "./helpers/mock-fetch.js";
+
+let mock;
+afterEach(() => mock?.restore());
+
+test("cookieHeaderFromSetCookie keeps name=value pairs from collapsed headers", () => {
+  const setCookie =
+    "download_warning_123=abc; Path=/uc; Secure; HttpOnly, NID=511=xyz; expires=Fri, 01 Jan 2027 00:00:00 GMT; path=/";
+  assert.equal(cookieHeaderFromSetCookie(setCookie), "download_warning_123=abc; NID=511=xyz");
+  assert.equal(cookieHeaderFromSetCookie(""), "");
+  assert.equal(cookieHeaderFromSetCookie(null), "");
+});
+
+test("fetchDriveFile returns the file directly when Drive sends it", async () => {
+  mock = mockFetch(() => bytes("model-bytes"));
+  const res = await fetchDriveFile("abc");
+  assert.equal(await res.text(), "model-bytes");
+  assert.equal(mock.calls.length, 1);
+  const url = mock.urls()[0];
+  assert.equal(url.hostname, "drive.google.com");
+  assert.equal(url.searchParams.get("id"), "abc");
+});
+
+test("fetchDriveFile follows the interstitial form action", async () => {
+  const page = `<form id="download-form" action="https://drive.google.com/uc?export=download&amp;id=abc&amp;confirm=tok_1&amp;uuid=u1" method="post"></form>`;
+  mock = mockFetch((req, n) => (n === 1 ? html(page) : bytes("big-file")));
+
+  const res = await fetchDriveFile("abc");
+  assert.equal(await res.text(), "big-file");
+  const second = mock.urls()[1];
+  assert.equal(second.searchParams.get("confirm"), "tok_1");
+  assert.equal(second.searchParams.get("uuid"), "u1");
+});
+
+test("fetchDriveFile builds the confirm URL when there is no form action", async () => {
+  const page = `<a href="/uc?export=download&amp;confirm=XyZ9&amp;id=abc">Download anyway</a>`;
+  mock = mockFetch((req, n) =>
+    n === 1
+      ? html(page, { headers: { "Set-Cookie": "download_warning_abc=XyZ9; Path=/uc" } })
+      : bytes("big-file")
+  );
+
+  const res = await fetchDriveFile("abc");
+  assert.equal(await res.text(), "big-file");
+  const [, second] = mock.calls;
+  const url = new URL(second.url);
+  assert.equal(url.searchParams.get("id"), "abc");
+  assert.equal(url.searchParams.get("confirm"), "XyZ9");
+  assert.equal(second.headers.get("cookie"), "download_warning_abc=XyZ9");
+});
+
+test("fetchDriveFile takes the confirm token from the cookie alone", async () => {
+  mock = mockFetch((req, n) =>
+    n === 1
+      ? html("<p>Virus scan warning</p>", { headers: { "Set-Cookie": "download_warning_abc=fromCookie; Path=/uc" } })
+      : bytes("big-file")
+  );
+
+  await fetchDriveFile("abc");
+  assert.equal(mock.urls()[1].searchParams.get("confirm"), "fromCookie");
+});
+
+test("fetchDriveFile falls back to the drive.usercontent link", async () => {
+  const first = `<a href="/uc?export=download&amp;confirm=tok&amp;id=abc">Download anyway</a>`;
+  const second = `<a id="uc-download-link" href="https://drive.usercontent.google.com/download?id=abc&amp;export=download&amp;confirm=t">Download anyway</a>`;
+  mock = mockFetch((req, n) => [html(first), html(second), bytes("usercontent-bytes")][n - 1]);
+
+  const res = await fetchDriveFile("abc");
+  assert.equal(await res.text(), "usercontent-bytes");
+  const third = mock.urls()[2];
+  assert.equal(third.hostname, "drive.usercontent.google.com");
+  assert.equal(third.searchParams.get("export"), "download");
+  assert.equal(third.searchParams.get("confirm"), "t");
+});
+
+test("fetchDriveFile gives up with a 502 when the interstitial can't be bypassed", async () => {
+  mock = mockFetch(() => html("<p>Too many users have viewed or downloaded this file recently.</p>"));
+  const res = await fetchDriveFile("abc");
+  assert.equal(res.status, 502);
+  assert.equal(mock.calls.length, 2);
+});
+
+test("fetchDriveFile forwards Range and If-Range", async () => {
+  mock = mockFetch(() => bytes("01234", { status: 206, headers: { "Content-Range": "bytes 0-4/10" } }));
+  const res = await fetchDriveFile("abc", { range: "bytes=0-4", ifRange: '"v1"' });
+  assert.equal(res.status, 206);
+  assert.equal(mock.calls[0].headers.get("Range"), "bytes=0-4");
+  assert.equal(mock.calls[0].headers.get("If-Range"), '"v1"');
+});
+
+test("fetchDriveFile refetches a ranged interstitial without the range", async () => {
+  const page = `<form action="https://drive.google.com/uc?export=download&amp;id=abc&amp;confirm=tok" method="post"></form>`;
+  mock = mockFetch((req, n) => {
+    if (n === 1) return html(page.slice(0, 10), { status: 206 });
+    if (n === 2) return html(page);
+    return bytes("67", { status: 206, headers: { "Content-Range": "bytes 6-7/10" } });
+  });
+
+  const res = await fetchDriveFile("abc", { range: "bytes=6-7" });
+  assert.equal(res.status, 206);
+  assert.equal(mock.calls[1].headers.get("Range"), null);
+  // The confirmed download still asks for the original range.
+  assert.equal(mock.calls[2].headers.get("Range"), "bytes=6-7");
+});
@@ -0,0 +1,212 @@
+import assert from "node:assert/strict";
+import { copyFile, mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { afterEach, test } from "node:test";
+import { onRequest } from "../functions/api/file.js";
+import { makeContext } from "./helpers/context.js";
+import { bytes, html, mockFixtureFetch } from "./helpers/mock-fetch.js";
+
+let mock;
+afterEach(() => mock?.restore());
+
+const isDrive = (req) => new URL(req.url).hostname.endsWith("google.com") && !req.url.includes("/macros/");
+
+test("a missing id is a 400 JSON error", async () => {
+  const res = await onRequest(makeContext("/api/file"));
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.code, "missing_id");
+});
+
+test("IDs outside the catalog are refused", async () => {
+  mock = mockFixtureFetch();
+  const res = await onRequest(makeContext("/api/file?id=not-in-catalog"));
+  assert.equal(res.status, 404);
+  assert.equal((await res.json()).error.code, "unknown_file");
+  assert.ok(!mock.calls.some(isDrive), "Drive should not be contacted");
+});
+
+test("Safari .bin case: name + ext produce a typed, correctly named attachment", async () => {
+  mock = mockFixtureFetch();
+  const res = await onRequest(makeContext("/api/file?id=dev-cube&name=Diamond%20Generator&ext=gltf"));
+  assert.equal(res.status, 200);
+  // Drive says application/octet-stream, which Safari saves as ".bin".
+  assert.equal(res.headers.get("Content-Type"), "model/gltf+json; charset=utf-8");
+  assert.match(res.headers.get("Content-Disposition"), /filename="Diamond Generator\.gltf"/);
+  assert.match(res.headers.get("Content-Disposition"), /filename\*=UTF-8''Diamond%20Generator\.gltf/);
+});
+
+test("ext isn't appended twice and an ext alone still names the file", async () => {
+  mock = mockFixtureFetch();
+  let res = await onRequest(makeContext("/api/file?id=dev-cube&name=cube.GLTF&ext=gltf"));
+  assert.match(res.headers.get("Content-Disposition"), /filename="cube\.GLTF"/);
+
+  res = await onRequest(makeContext("/api/file?id=dev-platform-glb&ext=.glb"));
+  assert.match(res.headers.get("Content-Disposition"), /filename="download\.glb"/);
+  assert.equal(res.headers.get("Content-Type"), "model/gltf-binary");
+});
+
+test("without a name, Drive's filename is kept", async () => {
+  mock = mockFixtureFetch();
+  const res = await onRequest(makeContext("/api/file?id=dev-platform-png"));
+  assert.equal(res.headers.get("Content-Type"), "image/png");
+  assert.match(res.headers.get("Content-Disposition"), /filename="platform\.png"/);
+});
+
+test("files behind both interstitial steps are served", async () => {
+  mock = mockFixtureFetch();
+  const res = await onRequest(makeContext("/api/file?id=dev-platform-glb"));
+  assert.equal(res.status, 200);
+  const body = new Uint8Array(await res.arrayBuffer());
+  assert.equal(new TextDecoder().decode(body.slice(0, 4)), "glTF");
+  assert.ok(mock.urls().some((u) => u.hostname === "drive.usercontent.google.com"));
+});
+
+test("Range requests are forwarded and answered with 206", async () => {
+  mock = mockFixtureFetch();
+  const res = await onRequest(makeContext("/api/file?id=dev-pillar", { headers: { Range: "bytes=0-9" } }));
+  assert.equal(res.status, 206);
+  assert.match(res.headers.get("Content-Range"), /^bytes 0-9\/\d+$/);
+  assert.equal((await res.arrayBuffer()).byteLength, 10);
+});
+
+test("ranges Drive ignores are sliced locally", async () => {
+  mock = mockFixtureFetch((req) => (isDrive(req) ? bytes("0123456789") : null));
+  const res = await onRequest(makeContext("/api/file?id=dev-cube", { headers: { Range: "bytes=-3" } }));
+  assert.equal(res.status, 206);
+  assert.equal(res.headers.get("Content-Range"), "bytes 7-9/10");
+  assert.equal(await res.text(), "789");
+});
+
+test("Drive 404s pass through as JSON, not Drive's HTML", async () => {
+  mock = mockFixtureFetch((req) => (isDrive(req) ? html("<html>Not found</html>", { status: 404 }) : null));
+  const res = await onRequest(makeContext("/api/file?id=dev-cube"));
+  assert.equal(res.status, 404);
+  assert.match(res.headers.get("Content-Type"), /application\/json/);
+  assert.deepEqual((await res.json()).error.code, "file_not_found");
+});
+
+test("Drive 416s keep their Content-Range", async () => {
+  mock = mockFixtureFetch((req) =>
+    isDrive(req) ? new Response(null, { status: 416, headers: { "Content-Range": "bytes */10" } }) : null
+  );
+  const res = await onRequest(makeContext("/api/file?id=dev-cube", { headers: { Range: "bytes=50-" } }));
+  assert.equal(res.status, 416);
+  assert.equal(res.headers.get("Content-Range"), "bytes */10");
+});
+
+test("Drive 5xx errors are retried, then reported as a retryable 502", async () => {
+  let driveCalls = 0;
+  mock = mockFixtureFetch((req) => {
+    if (!isDrive(req)) return null;
+    driveCalls++;
+    return html("<html>Server Error</html>", { status: 503 });
+  });
+  const res = await onRequest(makeContext("/api/file?id=dev-cube", { env: { UPSTREAM_RETRY_DELAY_MS: "0" } }));
+  assert.equal(res.status, 502);
+  const { error } = await res.json();
+  assert.equal(error.code, "upstream_error");
+  assert.equal(error.retryable, true);
+  assert.equal(driveCalls, 3);
+});
+
+test("interstitials that can't be bypassed are a 502", async () => {
+  mock = mockFixtureFetch();
+  const res = await onRequest(makeContext("/api/file?id=dev-blocked"));
+  assert.equal(res.status, 502);
+  assert.equal((await res.json()).error.code, "upstream_error");
+});
+
+// An empty Workers cache, so the edge-cache path runs. Returns its entries.
+function edgeCache() {
+  const stored = new Map();
+  globalThis.caches = {
+    default: {
+      match: async (req) => stored.get(req.url)?.clone(),
+      put: async (req, res) => void stored.set(req.url, res),
+      delete: async (req) => stored.delete(req.url),
+    },
+  };
+  return stored;
+}
+
+test("edge-cached files without an upstream date rely on the ETag alone", async () => {
+  edgeCache();
+  mock = mockFixtureFetch((req) => (isDrive(req) ? bytes("no date here") : null));
+  try {
+    const res = await onRequest(makeContext("/api/file?id=dev-cube"));
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("Last-Modified"), null);
+    const etag = res.headers.get("ETag");
+    assert.ok(etag);
+
+    const again = await onRequest(makeContext("/api/file?id=dev-cube", { headers: { "If-None-Match": etag } }));
+    assert.equal(again.status, 304);
+  } finally {
+    delete globalThis.caches;
+  }
+});
+
+test("expired edge copies are served stale only while storage is failing", async () => {
+  // A copy resolved two days ago: past the TTL, within the stale window.
+  const stored = edgeCache();
+  const expired = () =>
+    stored.set(
+      "https://sparkskye.test/__file-cache/drive?id=dev-cube",
+      new Response("cached copy", { headers: { ETag: '"old"', "X-Resolved-At": String(Date.now() - 2 * 86400e3) } })
+    );
+  let driveStatus;
+  mock = mockFixtureFetch((req) => (isDrive(req) ? html("<html>Error</html>", { status: driveStatus }) : null));
+  try {
+    expired();
+    driveStatus = 503;
+    let res = await onRequest(makeContext("/api/file?id=dev-cube", { env: { UPSTREAM_RETRY_DELAY_MS: "0" } }));
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), "cached copy");
+    assert.equal(res.headers.get("X-Stale"), "1");
+
+    driveStatus = 404;
+    res = await onRequest(makeContext("/api/file?id=dev-cube"));
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error.code, "file_not_found");
+    assert.equal(stored.size, 0, "the deleted file's copy is dropped");
+  } finally {
+    delete globalThis.caches;
+  }
+});
+
+test("at the edge, storage's own ETag is kept and the body streamed into the cache", async () => {
+  const stored = edgeCache();
+  mock = mockFixtureFetch();
+  const root = await mkdtemp(path.join(tmpdir(), "file-test-"));
+  await copyFile(new URL("../dev/fixtures/drive/files/platform.png", import.meta.url), path.join(root, "dev-platform-png.png"));
+  try {
+    const context = makeContext("/api/file?id=dev-platform-png", { env: { STORAGE_BACKEND: "fs", STORAGE_FS_ROOT: root } });
+    const res = await onRequest(context);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("ETag"), /^"[0-9a-f]+-[0-9a-f]+"$/, "the filesystem's size-mtime ETag, not a content hash");
+    const body = new Uint8Array(await res.arrayBuffer());
+    assert.equal(Number(res.headers.get("Content-Length")), body.byteLength);
+
+    await context.settled();
+    const [cached] = stored.values();
+    assert.deepEqual(new Uint8Array(await cached.arrayBuffer()), body);
+  } finally {
+    delete globalThis.caches;
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test("at the edge, uncached Range requests are streamed from storage", async () => {
+  const stored = edgeCache();
+  mock = mockFixtureFetch();
+  try {
+    const res = await onRequest(makeContext("/api/file?id=dev-pillar", { headers: { Range: "bytes=0-9" } }));
+    assert.equal(res.status, 206);
+    assert.equal((await res.arrayBuffer()).byteLength, 10);
+    assert.ok(mock.calls.filter(isDrive).every((req) => req.headers.get("Range") === "bytes=0-9"));
+    assert.equal(stored.size, 0);
+  } finally {
+    delete globalThis.caches;
+  }
+});
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  attachmentDisposition,
+  contentTypeFromName,
+  sanitizeFilename,
+  siblingNameFromUri,
+} from "../functions/_lib/files.js";
+
+test("sanitizeFilename strips path separators, quotes and control characters", () => {
+  assert.equal(sanitizeFilename("../bed/wars\\gen.gltf"), "..-bed-wars-gen.gltf");
+  assert.equal(sanitizeFilename('say "hi"\n\t.glb'), "say hi.glb");
+  assert.equal(sanitizeFilename("  Diamond Generator  "), "Diamond Generator");
+});
+
+test("sanitizeFilename handles empty input and caps the length", () => {
+  assert.equal(sanitizeFilename(""), "");
+  assert.equal(sanitizeFilename(null), "");
+  assert.equal(sanitizeFilename("x".repeat(300)).length, 180);
+});
+
+test("contentTypeFromName maps the extensions we serve", () => {
+  assert.equal(contentTypeFromName("a.gltf"), "model/gltf+json; charset=utf-8");
+  assert.equal(contentTypeFromName("A.GLB"), "model/gltf-binary");
+  assert.equal(contentTypeFromName("thumb.png"), "image/png");
+  assert.equal(contentTypeFromName("photo.jpeg"), "image/jpeg");
+  assert.equal(contentTypeFromName("photo.jpg"), "image/jpeg");
+  assert.equal(contentTypeFromName("x.webp"), "image/webp");
+  assert.equal(contentTypeFromName("data.json"), "application/json; charset=utf-8");
+});
+
+test("contentTypeFromName returns null when it can't tell", () => {
+  assert.equal(contentTypeFromName("archive.bin"), null);
+  assert.equal(contentTypeFromName("noext"), null);
+  assert.equal(contentTypeFromName(""), null);
+});
+
+test("attachmentDisposition sends both filename and filename*", () => {
+  assert.equal(
+    attachmentDisposition("Ender Chest.gltf"),
+    `attachment; filename="Ender Chest.gltf"; filename*=UTF-8''Ender%20Chest.gltf`
+  );
+});
+
+test("siblingNameFromUri only accepts plain names next to the model", () => {
+  assert.equal(siblingNameFromUri("model.bin"), "model.bin");
+  assert.equal(siblingNameFromUri("./Team%20Pillar.png"), "Team Pillar.png");
+  assert.equal(siblingNameFromUri("texture.png?v=2"), "texture.png");
+  assert.equal(siblingNameFromUri("textures/skin.png"), null);
+  assert.equal(siblingNameFromUri("..%2Fsecret.bin"), null);
+  assert.equal(siblingNameFromUri("data:application/octet-stream;base64,AAAA"), null);
+  assert.equal(siblingNameFromUri("https://example.com/model.bin"), null);
+  assert.equal(siblingNameFromUri("/api/file?id=x"), null);
+});
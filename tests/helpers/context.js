@@ -0,0 +1,18 @@
+// Builds the `context` object Pages Functions receive.
+
+import { MemoryKV } from "../../functions/_lib/kv.js";
+
+export function makeContext(path, { env = {}, headers = {}, method = "GET" } = {}) {
+  const tasks = [];
+  return {
+    request: new Request(new URL(path, "https://sparkskye.test"), { method, headers }),
+    // A fresh catalog store per test, so snapshots never leak between cases.
+    env: { CATALOG: new MemoryKV(), ...env },
+    params: {},
+    data: {},
+    waitUntil(promise) {
+      tasks.push(Promise.resolve(promise).catch(() => {}));
+    },
+    settled: () => Promise.all(tasks),
+  };
+}
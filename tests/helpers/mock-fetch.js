@@ -0,0 +1,47 @@
+// Swaps globalThis.fetch for a handler and records every request it sees.
+
+import { createFixtureFetch } from "../../dev/fixtures.js";
+
+export function mockFetch(handler) {
+  const original = globalThis.fetch;
+  const calls = [];
+
+  globalThis.fetch = async (input, init) => {
+    const request = new Request(input, init);
+    calls.push(request);
+    const res = await handler(request, calls.length);
+    if (!res) throw new TypeError(`fetch failed: unexpected request to ${request.url}`);
+    return res;
+  };
+
+  return {
+    calls,
+    urls: () => calls.map((r) => new URL(r.url)),
+    restore() {
+      globalThis.fetch = original;
+    },
+  };
+}
+
+// The dev server's replayed Apps Script + Drive fixtures, as a fetch mock.
+// `override(request)` can answer a request itself; returning nothing falls
+// through to the fixtures.
+export function mockFixtureFetch(override = () => null) {
+  const replay = createFixtureFetch();
+  return mockFetch(async (request) => (await override(request)) || (await replay(request)));
+}
+
+export function html(body, init = {}) {
+  return new Response(body, {
+    status: init.status || 200,
+    headers: { "Content-Type": "text/html; charset=utf-8", ...init.headers },
+  });
+}
+
+export function bytes(data, init = {}) {
+  const body = typeof data === "string" ? new TextEncoder().encode(data) : data;
+  return new Response(body, {
+    status: init.status || 200,
+    headers: { "Content-Type": "application/octet-stream", ...init.headers },
+  });
+}
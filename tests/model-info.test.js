@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import { copyFile, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { afterEach, test } from "node:test";
+import { onRequest } from "../functions/api/model-info.js";
+import { gltfStats, imageSize } from "../functions/_lib/gltf-stats.js";
+import { makeContext } from "./helpers/context.js";
+import { mockFixtureFetch } from "./helpers/mock-fetch.js";
+
+let mock;
+afterEach(() => mock?.restore());
+
+const fixture = (name) => readFile(new URL(`../dev/fixtures/drive/files/${name}`, import.meta.url));
+
+test("imageSize reads PNG dimensions", async () => {
+  assert.deepEqual(imageSize(await fixture("platform.png")), { width: 32, height: 32 });
+  assert.equal(imageSize(new Uint8Array([1, 2, 3])), null);
+});
+
+test("imageSize reads JPEG frame dimensions", () => {
+  // SOI, an APP0 segment to skip, then SOF0 with height 48 / width 64.
+  const jpeg = new Uint8Array([
+    0xff, 0xd8,
+    0xff, 0xe0, 0x00, 0x04, 0x00, 0x00,
+    0xff, 0xc0, 0x00, 0x0b, 0x08, 0x00, 0x30, 0x00, 0x40, 0x01, 0x01, 0x11, 0x00,
+  ]);
+  assert.deepEqual(imageSize(jpeg), { width: 64, height: 48 });
+});
+
+test("gltfStats counts instances and applies node transforms to the bounds", async () => {
+  const json = {
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [
+      { children: [1, 2], scale: [2, 2, 2] },
+      { mesh: 0, translation: [5, 0, 0] },
+      { mesh: 0 },
+    ],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0 }, indices: 1 }] }],
+    accessors: [
+      { count: 4, type: "VEC3", min: [-1, 0, -1], max: [1, 1, 1] },
+      { count: 6, type: "SCALAR" },
+      { count: 3, type: "SCALAR", max: [2.5] },
+      { count: 3, type: "SCALAR", max: [0.75] },
+    ],
+    skins: [{ name: "Armature", joints: [1, 2] }],
+    animations: [
+      { name: "Walk", samplers: [{ input: 2 }, { input: 3 }], channels: [{}, {}] },
+    ],
+  };
+
+  const stats = await gltfStats({ json, bin: null });
+  assert.equal(stats.triangles, 4);
+  assert.equal(stats.vertices, 8);
+  assert.deepEqual(stats.boundingBox.min, [-2, 0, -2]);
+  assert.deepEqual(stats.boundingBox.max, [12, 2, 2]);
+  assert.equal(stats.rigged, true);
+  assert.deepEqual(stats.skins, [{ index: 0, name: "Armature", bones: 2 }]);
+  assert.deepEqual(stats.animations, [{ index: 0, name: "Walk", duration: 2.5, channels: 2 }]);
+});
+
+test("gltfStats treats malformed base64 data: URIs as unreadable", async () => {
+  const json = {
+    buffers: [{ uri: "data:application/octet-stream;base64,@@not base64@@", byteLength: 8 }],
+    bufferViews: [{ buffer: 0, byteLength: 8 }],
+    images: [{ uri: "data:image/png;base64,%%%" }, { bufferView: 0, mimeType: "image/png" }],
+  };
+  const stats = await gltfStats({ json, bin: null });
+  assert.deepEqual(
+    stats.textures.map((t) => [t.width, t.height, t.byteLength]),
+    [[null, null, null], [null, null, null]]
+  );
+});
+
+test("/api/model-info reports a glTF's geometry", async () => {
+  mock = mockFixtureFetch();
+  const res = await onRequest(makeContext("/api/model-info?id=dev-cube"));
+  assert.equal(res.status, 200);
+
+  const info = await res.json();
+  assert.equal(info.format, "gltf");
+  assert.equal(info.triangles, 12);
+  assert.equal(info.vertices, 24);
+  assert.deepEqual(info.boundingBox.size, [1, 1, 1]);
+  assert.equal(info.rigged, false);
+  assert.equal(info.animated, false);
+  assert.equal(info.fileSize, (await fixture("cube.gltf")).byteLength);
+});
+
+test("/api/model-info reads GLBs too", async () => {
+  mock = mockFixtureFetch();
+  const info = await (await onRequest(makeContext("/api/model-info?id=dev-platform-glb"))).json();
+  assert.equal(info.format, "glb");
+  assert.deepEqual(info.boundingBox.size, [8, 0.5, 8]);
+});
+
+test("/api/model-info rejects files that aren't models", async () => {
+  mock = mockFixtureFetch();
+  const res = await onRequest(makeContext("/api/model-info?id=dev-platform-png"));
+  assert.equal(res.status, 422);
+  assert.equal((await res.json()).error.code, "not_gltf");
+});
+
+test("/api/model-info sizes sibling textures but not links outside the catalog", async () => {
+  const root = await mkdtemp(path.join(tmpdir(), "model-info-test-"));
+  const gltf = { asset: { version: "2.0" }, images: [{ uri: "texture.png" }, { uri: "/api/file?id=private-file" }] };
+  await writeFile(path.join(root, "dev-cube.gltf"), JSON.stringify(gltf));
+  await copyFile(new URL("../dev/fixtures/drive/files/platform.png", import.meta.url), path.join(root, "texture.png"));
+  await copyFile(new URL("../dev/fixtures/drive/files/platform.png", import.meta.url), path.join(root, "private-file.png"));
+  mock = mockFixtureFetch();
+  try {
+    const context = makeContext("/api/model-info?id=dev-cube", { env: { STORAGE_BACKEND: "fs", STORAGE_FS_ROOT: root } });
+    const { textures } = await (await onRequest(context)).json();
+    assert.deepEqual(
+      textures.map((t) => [t.width, t.height]),
+      [[32, 32], [null, null]]
+    );
+    assert.equal(textures[0].byteLength, (await fixture("platform.png")).byteLength);
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import { copyFile, mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, afterEach, before, test } from "node:test";
+import { onRequest } from "../functions/api/pack.js";
+import { parseGltfContainer } from "../functions/_lib/gltf.js";
+import { makeContext } from "./helpers/context.js";
+import { bytes, mockFixtureFetch } from "./helpers/mock-fetch.js";
+
+let mock;
+afterEach(() => mock?.restore());
+
+const fixtureFile = (name) => new URL(`../dev/fixtures/drive/files/${name}`, import.meta.url);
+
+// One triangle whose vertices live in an external buffer, textured from an
+// external image.
+const positions = new Uint8Array(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]).buffer);
+
+function sidecarGltf({ bin = "model.bin", image = "texture.png" } = {}) {
+  return JSON.stringify({
+    asset: { version: "2.0" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0 }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0 }, material: 0 }] }],
+    materials: [{ pbrMetallicRoughness: { baseColorTexture: { index: 0 } } }],
+    textures: [{ source: 0 }],
+    images: [{ uri: image }],
+    accessors: [{ bufferView: 0, componentType: 5126, count: 3, type: "VEC3", min: [0, 0, 0], max: [1, 1, 0] }],
+    bufferViews: [{ buffer: 0, byteLength: positions.byteLength }],
+    buffers: [{ uri: bin, byteLength: positions.byteLength }],
+  });
+}
+
+// Models served from the filesystem adapter; dev-cube and dev-pillar are
+// catalog IDs, so /api/pack accepts them.
+let root;
+before(async () => {
+  root = await mkdtemp(path.join(tmpdir(), "pack-test-"));
+  await writeFile(path.join(root, "dev-cube.gltf"), sidecarGltf());
+  await writeFile(path.join(root, "dev-pillar.gltf"), sidecarGltf({ bin: "missing.bin" }));
+  await writeFile(path.join(root, "model.bin"), positions);
+  await copyFile(fixtureFile("platform.png"), path.join(root, "texture.png"));
+});
+after(() => rm(root, { recursive: true, force: true }));
+
+const fsEnv = () => ({ STORAGE_BACKEND: "fs", STORAGE_FS_ROOT: root });
+
+async function packed(res) {
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("Content-Type"), "model/gltf-binary");
+  return parseGltfContainer(await res.arrayBuffer());
+}
+
+test("glTFs with data: URIs are packed into a GLB", async () => {
+  mock = mockFixtureFetch();
+  const { json, bin } = await packed(await onRequest(makeContext("/api/pack?id=dev-cube&name=Diamond Generator")));
+  assert.equal(json.buffers.length, 1);
+  assert.equal(json.buffers[0].uri, undefined);
+  assert.ok(bin.byteLength >= json.buffers[0].byteLength);
+});
+
+test("external .bin and image files next to the model are inlined", async () => {
+  mock = mockFixtureFetch();
+  const res = await onRequest(makeContext("/api/pack?id=dev-cube&name=Diamond Generator", { env: fsEnv() }));
+  assert.match(res.headers.get("Content-Disposition"), /Diamond Generator\.glb/);
+  const { json, bin } = await packed(res);
+
+  assert.equal(json.buffers.length, 1);
+  assert.equal(json.buffers[0].uri, undefined);
+  assert.deepEqual(bin.subarray(0, positions.byteLength), positions);
+
+  const image = json.images[0];
+  assert.equal(image.uri, undefined);
+  assert.equal(image.mimeType, "image/png");
+  const view = json.bufferViews[image.bufferView];
+  const png = new Uint8Array(await readFile(fixtureFile("platform.png")));
+  assert.deepEqual(bin.subarray(view.byteOffset, view.byteOffset + view.byteLength), png);
+});
+
+test("sidecars are found through the Drive API when a key is set", async () => {
+  const png = (await readFile(fixtureFile("platform.png"))).toString("base64");
+  const gltf = sidecarGltf({ image: `data:image/png;base64,${png}` });
+  mock = mockFixtureFetch((request) => {
+    const url = new URL(request.url);
+    const id = url.searchParams.get("id");
+    if (url.hostname === "drive.google.com" && id === "dev-cube") return bytes(gltf);
+    if (url.hostname === "drive.google.com" && id === "sidecar-bin") return bytes(positions);
+    if (url.pathname === "/drive/v3/files/dev-cube") return Response.json({ parents: ["folder-1"] });
+    if (url.pathname === "/drive/v3/files") {
+      const found = url.searchParams.get("q") === "'folder-1' in parents and name = 'model.bin' and trashed = false";
+      return Response.json({ files: found ? [{ id: "sidecar-bin" }] : [] });
+    }
+    return null;
+  });
+
+  const { bin } = await packed(await onRequest(makeContext("/api/pack?id=dev-cube", { env: { DRIVE_API_KEY: "k" } })));
+  assert.deepEqual(bin.subarray(0, positions.byteLength), positions);
+});
+
+test("a referenced file that can't be found is a 422", async () => {
+  mock = mockFixtureFetch();
+  const res = await onRequest(makeContext("/api/pack?id=dev-pillar", { env: fsEnv() }));
+  assert.equal(res.status, 422);
+  const { error } = await res.json();
+  assert.equal(error.code, "unresolved_resource");
+  assert.match(error.message, /missing\.bin/);
+});
+
+test("links are only followed to other catalog files", async () => {
+  await copyFile(fixtureFile("platform.png"), path.join(root, "dev-platform-png.png"));
+  await writeFile(path.join(root, "dev-platform-glb.gltf"), sidecarGltf({ image: "/api/file?id=dev-platform-png" }));
+  await writeFile(
+    path.join(root, "dev-blocked.gltf"),
+    sidecarGltf({ bin: "https://drive.google.com/uc?export=download&id=private-file" })
+  );
+  await writeFile(path.join(root, "private-file.bin"), positions);
+  mock = mockFixtureFetch();
+
+  const { json } = await packed(await onRequest(makeContext("/api/pack?id=dev-platform-glb", { env: fsEnv() })));
+  assert.equal(json.images[0].mimeType, "image/png");
+
+  const res = await onRequest(makeContext("/api/pack?id=dev-blocked", { env: fsEnv() }));
+  assert.equal(res.status, 422);
+  assert.match((await res.json()).error.message, /private-file/);
+});
+
+test("files that aren't glTF are refused", async () => {
+  mock = mockFixtureFetch();
+  const res = await onRequest(makeContext("/api/pack?id=dev-platform-png"));
+  assert.equal(res.status, 422);
+  assert.equal((await res.json()).error.code, "not_gltf");
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { onRequest as rewind } from "../functions/api/rewind.js";
+import { buildRewind } from "../functions/_lib/rewind.js";
+import { makeContext } from "./helpers/context.js";
+import { mockFixtureFetch } from "./helpers/mock-fetch.js";
+
+let mock;
+afterEach(() => mock?.restore());
+
+const models = {
+  type: "models",
+  games: [
+    {
+      key: "bedwars",
+      label: "BEDWARS",
+      groups: [
+        { key: "lunar", label: "LUNAR", items: [{ name: "Lantern", modelId: "m1" }, { name: "Dragon", modelId: "m2" }] },
+        { key: "beds", label: "BEDS", items: [{ name: "Valentine Bed", modelId: "m3" }, { name: "Plain Bed", modelId: "m4" }] },
+      ],
+    },
+  ],
+};
+const maps = {
+  type: "maps",
+  games: [{ key: "hub", label: "HUB", groups: [{ key: "all", label: "ALL", items: [{ name: "Lunar Hub", glbId: "g1", thumbId: "t1" }] }] }],
+};
+
+test("buildRewind picks items by folder, text and ID, newest event first", () => {
+  const events = buildRewind([models, maps], [
+    { id: "old", title: "Old", start: "2025-01-01", include: [{ ids: ["m4"] }] },
+    {
+      id: "lunar",
+      title: "Lunar",
+      start: "2026-02-09",
+      include: [{ type: "models", game: "bedwars", folder: "lunar" }, { query: ["valentine", "lunar hub"] }],
+    },
+    { id: "nothing", title: "Type-only rules match nothing", include: [{ type: "models" }] },
+  ]);
+
+  assert.deepEqual(events.map((e) => e.id), ["lunar", "old", "nothing"]);
+  assert.deepEqual(events[0].items.map((it) => it.id), ["m1", "m2", "m3", "g1"]);
+  assert.deepEqual(events[0].counts, { models: 3, maps: 1 });
+  assert.equal(events[0].items[3].thumbId, "t1");
+  assert.equal(events[0].items[0].gameLabel, "BEDWARS");
+  assert.deepEqual(events[1].items.map((it) => it.name), ["Plain Bed"]);
+  assert.deepEqual(events[2].items, []);
+});
+
+test("/api/rewind lists events and answers unknown ones with a 404", async () => {
+  mock = mockFixtureFetch();
+  const json = await (await rewind(makeContext("/api/rewind"))).json();
+  assert.ok(json.events.length > 0);
+  for (const event of json.events) {
+    assert.ok(event.id && event.title);
+    assert.ok(Array.isArray(event.items));
+  }
+
+  const one = await (await rewind(makeContext(`/api/rewind?event=${json.events[0].id}`))).json();
+  assert.equal(one.event.id, json.events[0].id);
+
+  const missing = await rewind(makeContext("/api/rewind?event=nope"));
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).error.code, "unknown_event");
+});
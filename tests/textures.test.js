@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { onRequest as file } from "../functions/api/file.js";
+import { onRequest as games } from "../functions/api/games.js";
+import { onRequest as textures } from "../functions/api/textures.js";
+import { onRequest as zip } from "../functions/api/zip.js";
+import { DEV_SCRIPT_URLS } from "../dev/fixtures.js";
+import { makeContext } from "./helpers/context.js";
+import { mockFixtureFetch } from "./helpers/mock-fetch.js";
+
+let mock;
+afterEach(() => mock?.restore());
+
+const env = { TEXTURES_SCRIPT_URL: DEV_SCRIPT_URLS.textures };
+
+test("textures reads its Apps Script from TEXTURES_SCRIPT_URL", async () => {
+  mock = mockFixtureFetch();
+  const res = await textures(makeContext("/api/textures?game=bedwars", { env }));
+  assert.equal(res.status, 200);
+
+  const json = await res.json();
+  assert.equal(json.game.key, "bedwars");
+  assert.deepEqual(json.groups.map((g) => g.key), ["sprites", "maps"]);
+  assert.deepEqual(json.groups[0].items[0], {
+    name: "Generator Icon",
+    imageId: "dev-sprite-png",
+    path: "SPRITES",
+    folderLabel: "SPRITES",
+    mimeType: "image/png",
+    width: 16,
+    height: 16,
+    updatedAt: "2026-09-30T08:00:00.000Z",
+  });
+  assert.ok(mock.urls().every((u) => u.pathname.includes("dev-textures")));
+});
+
+test("textures ?list=1 and /api/games list the texture gamemodes", async () => {
+  mock = mockFixtureFetch();
+  const ctx = makeContext("/api/textures?list=1", { env });
+  assert.deepEqual((await (await textures(ctx)).json()).games, [
+    { key: "bedwars", label: "BEDWARS" },
+    { key: "hub", label: "HUB" },
+  ]);
+
+  const counts = await (await games(makeContext("/api/games?type=textures", { env: ctx.env }))).json();
+  assert.deepEqual(counts.games.map((g) => [g.key, g.itemCount]), [["bedwars", 2], ["hub", 1]]);
+});
+
+test("without a script the textures catalog is empty and never fetched", async () => {
+  mock = mockFixtureFetch();
+  const json = await (await textures(makeContext("/api/textures?list=1"))).json();
+  assert.deepEqual(json.games, []);
+  assert.equal(mock.calls.length, 0);
+});
+
+test("/api/file serves images that are only in the textures catalog", async () => {
+  mock = mockFixtureFetch();
+  const res = await file(makeContext("/api/file?id=dev-sprite-png", { env }));
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("Content-Type"), "image/png");
+  const bytes = new Uint8Array(await res.arrayBuffer());
+  assert.deepEqual([...bytes.subarray(1, 4)], [0x50, 0x4e, 0x47]);
+});
+
+test("texture ZIPs name each entry after its own image type", async () => {
+  mock = mockFixtureFetch((request) => {
+    const url = new URL(request.url);
+    if (!url.pathname.includes("dev-textures") || url.searchParams.get("game") !== "bedwars") return null;
+    return Response.json({
+      game: { key: "bedwars", label: "BedWars" },
+      groups: [{
+        key: "sprites",
+        label: "SPRITES",
+        items: [
+          { name: "Icon", imageId: "dev-sprite-png", mimeType: "image/png" },
+          { name: "Banner", imageId: "dev-platform-png", mimeType: "image/webp" },
+        ],
+      }],
+    });
+  });
+  const res = await zip(makeContext("/api/zip?type=textures&game=bedwars", { env }));
+  assert.equal(res.status, 200);
+
+  const archive = new TextDecoder("latin1").decode(await res.arrayBuffer());
+  assert.ok(archive.includes("SPRITES/Icon.png"));
+  assert.ok(archive.includes("SPRITES/Banner.webp"));
+  assert.ok(!archive.includes("Banner.png"));
+});
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { errorResponse } from "../functions/_lib/http.js";
+import { UpstreamError, fetchUpstreamJson, fetchWithRetry, retryOptions } from "../functions/_lib/upstream.js";
+import { mockFetch } from "./helpers/mock-fetch.js";
+
+let mock;
+afterEach(() => mock?.restore());
+
+test("fetchUpstreamJson times out a body that stalls after the headers", async () => {
+  mock = mockFetch((request) => {
+    // Headers now, then nothing until the request is aborted.
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('{"games": ['));
+        request.signal.addEventListener("abort", () => controller.error(request.signal.reason));
+      },
+    });
+    return new Response(body, { headers: { "Content-Type": "application/json" } });
+  });
+
+  await assert.rejects(
+    fetchUpstreamJson("https://script.google.com/macros/s/x/exec", {}, { timeoutMs: 20, retries: 0, source: "apps-script" }),
+    (err) => err instanceof UpstreamError && err.code === "upstream_timeout" && err.source === "apps-script"
+  );
+});
+
+test("upstream error messages name the service that failed", async () => {
+  const message = async (source, status = 502) =>
+    (await errorResponse(new UpstreamError("x", { status, source })).json()).error.message;
+
+  assert.match(await message("drive"), /^Google Drive is having trouble/);
+  assert.match(await message("apps-script", 504), /^The catalog's Apps Script took too long/);
+  assert.doesNotMatch(await message("apps-script"), /Drive/);
+  assert.match(await message(null), /^An upstream service/);
+});
+
+test("UPSTREAM_RETRY_DELAY_MS replaces the backoff between retries", async () => {
+  assert.deepEqual(retryOptions({ UPSTREAM_RETRY_DELAY_MS: "0" }), { retryDelayMs: 0 });
+  assert.deepEqual(retryOptions({ UPSTREAM_RETRY_DELAY_MS: "soon" }), {});
+  assert.deepEqual(retryOptions({}), {});
+
+  let calls = 0;
+  mock = mockFetch(() => (++calls < 3 ? new Response(null, { status: 503 }) : new Response("ok")));
+  const started = Date.now();
+  const res = await fetchWithRetry("https://drive.google.com/uc", {}, retryOptions({ UPSTREAM_RETRY_DELAY_MS: "0" }));
+  assert.equal(await res.text(), "ok");
+  assert.equal(calls, 3);
+  assert.ok(Date.now() - started < 250, "no jittered backoff");
+});
@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { onRequest } from "../functions/api/zip.js";
+import { ZipWriter, crc32 } from "../functions/_lib/zip.js";
+import { makeContext } from "./helpers/context.js";
+import { mockFixtureFetch } from "./helpers/mock-fetch.js";
+
+let mock;
+afterEach(() => mock?.restore());
+
+// Entries as the central directory records them.
+function centralEntries(archive) {
+  const v = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+  const end = archive.byteLength - 22;
+  assert.equal(v.getUint32(end, true), 0x06054b50);
+  const entries = [];
+  let p = v.getUint32(end + 16, true);
+  for (let i = 0; i < v.getUint16(end + 10, true); i++) {
+    const nameLength = v.getUint16(p + 28, true);
+    entries.push({
+      name: new TextDecoder().decode(archive.subarray(p + 46, p + 46 + nameLength)),
+      flags: v.getUint16(p + 8, true),
+      crc: v.getUint32(p + 16, true),
+      size: v.getUint32(p + 24, true),
+      offset: v.getUint32(p + 42, true),
+    });
+    p += 46 + nameLength;
+  }
+  return entries;
+}
+
+test("crc32 can be continued across chunks", () => {
+  const bytes = new TextEncoder().encode("123456789");
+  assert.equal(crc32(bytes), 0xcbf43926);
+  assert.equal(crc32(bytes.subarray(4), crc32(bytes.subarray(0, 4))), 0xcbf43926);
+});
+
+test("streamed entries carry their checksum and size in a data descriptor", async () => {
+  const data = new TextEncoder().encode("streamed in two chunks");
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(data.subarray(0, 8));
+      controller.enqueue(data.subarray(8));
+      controller.close();
+    },
+  });
+
+  const zip = new ZipWriter();
+  const done = (async () => {
+    await zip.addStream("a.txt", stream);
+    await zip.addFile("b.txt", new TextEncoder().encode("buffered"));
+    await zip.finish();
+  })();
+  const archive = new Uint8Array(await new Response(zip.readable).arrayBuffer());
+  await done;
+
+  const [a, b] = centralEntries(archive);
+  assert.deepEqual([a.name, a.flags & 0x08, a.crc, a.size], ["a.txt", 0x08, crc32(data), data.byteLength]);
+  assert.equal(b.flags & 0x08, 0);
+
+  // The descriptor follows the data: signature, CRC, then both sizes.
+  const v = new DataView(archive.buffer);
+  const descriptor = a.offset + 30 + a.name.length + a.size;
+  assert.equal(v.getUint32(descriptor, true), 0x08074b50);
+  assert.equal(v.getUint32(descriptor + 4, true), a.crc);
+  assert.equal(v.getUint32(descriptor + 8, true), a.size);
+  assert.equal(b.offset, descriptor + 16);
+});
+
+test("/api/zip streams every file of a folder and notes the ones storage refused", async () => {
+  mock = mockFixtureFetch();
+  const res = await onRequest(makeContext("/api/zip?game=bedwars"));
+  assert.equal(res.status, 200);
+
+  const archive = new Uint8Array(await res.arrayBuffer());
+  const entries = centralEntries(archive);
+  assert.deepEqual(entries.map((e) => e.name), [
+    "GENERATORS/Diamond Generator.gltf",
+    "GENERATORS/Team Pillar.gltf",
+    "MISSING.txt",
+  ]);
+  assert.match(new TextDecoder().decode(archive), /These files could not be fetched from storage:/);
+});
+
+test("ZIP_MAX_ITEMS caps how many files one archive may hold", async () => {
+  mock = mockFixtureFetch();
+  const res = await onRequest(makeContext("/api/zip?game=bedwars", { env: { ZIP_MAX_ITEMS: "2" } }));
+  assert.equal(res.status, 413);
+  const { error } = await res.json();
+  assert.equal(error.code, "too_many_items");
+  assert.match(error.message, /over 2 files/);
+});